@@ -11,27 +11,121 @@
   const ISS_ID = 25544;
   const DEG = 180 / Math.PI;
   const RAD = Math.PI / 180;
-  const BORTLE = { class: 7, label: 'Suburban Sky', desc: 'Milky Way invisible. Satellites like the ISS (mag −3) still visible when sunlit.' };
+  // Sky name and naked-eye limiting magnitude by Bortle class (index = class)
+  const BORTLE_LABELS = [null, 'Excellent Dark Site', 'Truly Dark Site', 'Rural Sky', 'Rural/Suburban Transition',
+    'Suburban Sky', 'Bright Suburban Sky', 'Suburban/Urban Transition', 'City Sky', 'Inner-City Sky'];
+  const BORTLE_NELM = [null, 7.6, 7.1, 6.6, 6.1, 5.6, 5.1, 4.6, 4.1, 4.0];
+  const DEFAULT_BORTLE = 7;
 
   // Trajectory colors
   const COLOR_SIM = '#00bcd4';   // cyan — simulated preview
   const COLOR_LIVE = '#00e676';  // green — live/real-time
+  const COLOR_SHADOW = '#5c6380'; // slate — ISS in Earth's shadow
+
+  // Satellites tracked out of the box. stdMag = magnitude at 1000 km, half lit.
+  const SAT_PRESETS = [
+    { id: ISS_ID, name: 'ISS', color: '#00e5ff', stdMag: -1.8 },
+    { id: 48274, name: 'Tiangong', color: '#ff5252', stdMag: -0.8 },
+    { id: 20580, name: 'Hubble', color: '#ffd600', stdMag: 2.2 },
+  ];
+  const SAT_PALETTE = ['#a29bfe', '#ff9800', '#e040fb', '#69f0ae', '#40c4ff', '#ff80ab'];
+  const DEFAULT_STD_MAG = 3.0;   // unknown objects — typical of a bright rocket body
+  const TLE_PASTE_MAX_NEW = 5;   // new objects one paste may add (each gets a filter and a prediction run)
+
+  // Pass prediction
+  // refraction: 'weather' (live temperature/pressure when known), 'standard' or 'off'
+  const PREDICT_DEFAULTS = { minEl: 10, days: 5, minDuration: 30, refraction: 'weather' };
+  const PASS_WORKER_URL = 'pass-worker.js';
+  // Re-predict when live weather changes the refraction by more than this
+  // fraction (3% ≈ 1′ at the horizon — a second or so on rise and set times)
+  const REFRACTION_REPREDICT = 0.03;
+  // Transit finder: radiusKm = how far you'd travel to the centreline;
+  // enabled = search whenever passes are predicted
+  const TRANSIT_DEFAULTS = { enabled: true, radiusKm: 50, days: 14 };
+  const TRANSIT_SAME_MS = 5000;  // the same satellite crossing the same body this close together is one transit
+  const HORIZON_BINS = 16;      // horizon mask resolution — the 16 compass points
+  const HORIZON_MAX_EL = 60;
+
+  // Moonlight
+  const MOON_ICONS = ['🌑', '🌒', '🌓', '🌔', '🌕', '🌖', '🌗', '🌘'];
+  const MOON_HINT_DEG = 15;     // mention the Moon when a pass comes this close
+
+  // Voice guide: verbosity = 'brief' | 'normal' | 'detailed'; voice = a voiceURI ('' = default)
+  const VOICE_DEFAULTS = { enabled: false, lang: 'en-US', voice: '', verbosity: 'normal' };
+  const VOICE_SHADOW_WARN_S = 20;        // warn this long before it fades into shadow
+  // Countdown marks (s before it appears), how often to repeat the direction
+  // while it's up (s, 0 = never) and whether to name landmarks
+  const VOICE_CUES = {
+    brief:    { countdown: [60, 10], every: 0, landmarks: false },
+    normal:   { countdown: [120, 60, 30, 10], every: 30, landmarks: true },
+    detailed: { countdown: [300, 120, 60, 30, 10], every: 15, landmarks: true },
+  };
+  // Start guiding before the earliest countdown cue, with two live-pass
+  // checks (every 5 s) to spare so that cue is still ahead when it's picked up
+  const VOICE_LEAD_MS = (Math.max(...Object.values(VOICE_CUES).flatMap(c => c.countdown)) + 10) * 1000;
+
+  // Reminders: leadMin before the event; the rule reminds for every pass at least
+  // ruleEl° high rated ruleRating or better ('' = rule off)
+  const REMINDER_DEFAULTS = { leadMin: 10, ruleEl: 40, ruleRating: '' };
+  const REMINDER_MATCH_MS = 20 * 60 * 1000;  // a re-predicted pass moves by less than this
+
+  // Service worker — offline app shell and data, reminder delivery
+  const SW_URL = 'sw.js';
+  // Sky clock controls — the slider reaches this far back (ahead = the prediction window)
+  const TIME_SLIDER_PAST_MIN = 24 * 60;
+  const TIME_JUMP_LEAD_MS = 60 * 1000;   // land this long before an event starts
+  const TIME_SLIDER_THROTTLE_MS = 200;   // dragging the slider redraws at most this often
+  const REPLAY_DEFAULT_SPEED = 10;       // pass replays run at this many × real time
+  const REPLAY_REDRAW_MS = 1000;         // replays redraw the star map once per this much sky time
+
+  // AR view: field of view across the longer side of the picture (a typical
+  // phone main camera, cropped to fill the view) and the faintest star shown
+  const AR_FOV_DEG = 60;
+  const AR_STAR_MAG = 2.0;
+  // Compass: weight of each new heading sample in the running average (lower =
+  // steadier but slower), and the lowest a calibration target may be
+  const HEADING_SMOOTHING = 0.15;
+  const COMPASS_CAL_MIN_EL = 3;
+  // Pass ratings best-first; the no-weather labels rank with their nearest equivalent
+  const RATING_RANK = { Excellent: 0, Good: 1, 'High Pass': 1, Fair: 2, Medium: 2, Moonlit: 2, Poor: 3, 'Low Pass': 3, Faint: 3, Unknown: 3 };
+
+  // TLE freshness — LEO elements drift by km per day, and the ISS reboosts
+  const TLE_STALE_DAYS = 3;
+  const TLE_RETRY_MS = 5 * 60 * 1000;  // re-fetch while running on cached elements
 
   // API URLs
   const WTIA_POS = `https://api.wheretheiss.at/v1/satellites/${ISS_ID}`;
   const WTIA_TLE = `https://api.wheretheiss.at/v1/satellites/${ISS_ID}/tles`;
+  const CELESTRAK_GP = 'https://celestrak.org/NORAD/elements/gp.php';
   const VC_BASE = 'https://weather.visualcrossing.com/VisualCrossingWebServices/rest/services/timeline';
 
+  // A saved JSON setting, or the fallback when it's missing or corrupt
+  // (a bad value must not stop the app from starting)
+  function readJson(key, fallback) {
+    try {
+      const value = JSON.parse(localStorage.getItem(key));
+      return value !== null && typeof value === typeof fallback && Array.isArray(value) === Array.isArray(fallback) ? value : fallback;
+    } catch (e) {
+      return fallback;
+    }
+  }
+
   // ── STATE ────────────────────────────────
   const state = {
     vcApiKey: localStorage.getItem('vc_api_key') || '',
     issPos: null,
-    tle: null,
+    tle: null,        // TLE / satrec of the selected satellite
     satrec: null,
-    passes: [],
+    satellites: [],   // catalog entries, see SatelliteCatalog
+    selectedSatId: ISS_ID,
+    selectedEventId: null,   // last event card clicked, for share links
+    passes: [],       // passes of every satellite, merged and time-ordered
+    predicting: false,
     sortedEvents: [],
     cloudCover: null,
-    heading: 0,
+    weather: null,    // { tempC, pressureHPa } from the last weather fetch
+    heading: 0,       // degrees from true north the phone (or dragged radar) faces
+    compassOffset: parseFloat(localStorage.getItem('compass_offset')) || 0,   // from sighting calibration
     issAz: 0,
     issEl: -90,
     beeping: false,
@@ -40,6 +134,15 @@
     activeFilter: 'all',
     sortMode: 'date',
     livePassIndex: -1,
+    bortle: Math.min(9, Math.max(1, parseInt(localStorage.getItem('bortle_class'), 10) || DEFAULT_BORTLE)),
+    magLimit: localStorage.getItem('mag_limit') ? parseFloat(localStorage.getItem('mag_limit')) : null,
+    predictSettings: { ...PREDICT_DEFAULTS, ...readJson('predict_settings', {}) },
+    transits: [],     // Sun/Moon transits and near misses, time-ordered
+    transitSettings: { ...TRANSIT_DEFAULTS, ...readJson('transit_settings', {}) },
+    voiceSettings: { ...VOICE_DEFAULTS, ...readJson('voice_settings', {}) },
+    reminders: readJson('reminders', []),   // per-event toggles, see Reminders
+    reminderSettings: { ...REMINDER_DEFAULTS, ...readJson('reminder_settings', {}) },
+    weatherCachedAt: null,   // set while the weather is the service worker's offline copy
   };
 
   // ── DOM REFS ─────────────────────────────
@@ -52,6 +155,8 @@
     clock: $('clock'),
     // Location
     locBadge: $('location-badge'),
+    offlineBadge: $('offline-badge'),
+    btnInstall: $('btn-install'),
     btnDetect: $('btn-detect'),
     locStatus: $('loc-status'),
     inputLat: $('input-lat'),
@@ -66,25 +171,83 @@
     issVel: $('iss-vel'),
     issVis: $('iss-vis'),
     issRange: $('iss-range'),
+    issDrift: $('iss-drift'),
+    issDriftCard: $('iss-drift-card'),
+    satName: $('sat-name'),
     cloudCover: $('cloud-cover'),
     cloudIcon: $('cloud-icon'),
-    lightPoll: $('light-pollution'),
+    inputBortle: $('input-bortle'),
+    bortleDesc: $('bortle-desc'),
+    magLimit: $('mag-limit'),
+    // Prediction settings
+    inputMinEl: $('input-min-el'),
+    inputWindowDays: $('input-window-days'),
+    inputMinDur: $('input-min-dur'),
+    inputRefraction: $('input-refraction'),
+    horizonTable: $('horizon-table'),
+    horizonStatus: $('horizon-status'),
+    btnHorizonDraw: $('btn-horizon-draw'),
+    btnHorizonClear: $('btn-horizon-clear'),
+    horizonEditBar: $('horizon-edit-bar'),
+    btnHorizonDone: $('btn-horizon-done'),
+    btnApplyPredict: $('btn-apply-predict'),
+    predictStatus: $('predict-status'),
+    inputTransitRadius: $('input-transit-radius'),
+    inputTransitDays: $('input-transit-days'),
+    btnApplyTransit: $('btn-apply-transit'),
+    btnTransitToggle: $('btn-transit-toggle'),
+    transitStatus: $('transit-status'),
+    inputVoiceLang: $('input-voice-lang'),
+    inputVoice: $('input-voice'),
+    inputVoiceVerbosity: $('input-voice-verbosity'),
+    btnVoiceTest: $('btn-voice-test'),
+    voiceStatus: $('voice-status'),
+    inputReminderLead: $('input-reminder-lead'),
+    inputReminderEl: $('input-reminder-el'),
+    inputReminderRating: $('input-reminder-rating'),
+    btnApplyReminders: $('btn-apply-reminders'),
+    reminderStatus: $('reminder-status'),
     overallVis: $('overall-vis'),
     visIcon: $('vis-icon'),
     overallCard: $('overall-vis-card'),
     // Event list
     eventList: $('event-list'),
+    satFilters: $('sat-filters'),
+    // Satellite catalog
+    satList: $('sat-list'),
+    satStatus: $('sat-status'),
+    inputNorad: $('input-norad'),
+    btnAddNorad: $('btn-add-norad'),
+    inputTle: $('input-tle'),
+    btnAddTle: $('btn-add-tle'),
+    tleAge: $('tle-age'),
+    tleAgeCard: $('tle-age-card'),
     // Radar
     issBlip: $('iss-blip'),
     issAzEl: $('iss-az'),
     issElEl: $('iss-el'),
     userHeading: $('user-heading'),
+    btnCompassCal: $('btn-compass-cal'),
+    compassCalBar: $('compass-cal-bar'),
+    compassCalTarget: $('compass-cal-target'),
+    compassCalReadout: $('compass-cal-readout'),
+    btnCalAligned: $('btn-cal-aligned'),
+    btnCalReset: $('btn-cal-reset'),
+    btnCalCancel: $('btn-cal-cancel'),
     btnBeep: $('btn-beep'),
     btnSimulate: $('btn-simulate'),
+    btnVoice: $('btn-voice'),
+    btnExportIcs: $('btn-export-ics'),
+    btnShare: $('btn-share'),
+    sharedBanner: $('shared-banner'),
+    sharedText: $('shared-text'),
+    btnSharedKeep: $('btn-shared-keep'),
+    btnSharedBack: $('btn-shared-back'),
     starmapSlider: $('starmap-slider'),
     starmapVal: $('starmap-val'),
     skyHint: $('sky-hint'),
     launchPano: $('launch-pano'),
+    groundMap: $('ground-map'),
     arrow3d: $('arrow-3d'),
     arrowAz: $('arrow-az'),
     arrowEl: $('arrow-el'),
@@ -103,6 +266,34 @@
     launchDirContainer: $('launch-direction'),
     launchDirArrow: $('launch-dir-arrow'),
     launchDirText: $('launch-dir-text'),
+    // Sky clock
+    timeSlider: $('time-slider'),
+    timeReadout: $('time-readout'),
+    btnTimePlay: $('btn-time-play'),
+    btnTimeNow: $('btn-time-now'),
+    btnTimeNext: $('btn-time-next'),
+    // Pass replay
+    replayBar: $('replay-bar'),
+    replayTitle: $('replay-title'),
+    replaySlider: $('replay-slider'),
+    replayReadout: $('replay-readout'),
+    btnReplayPlay: $('btn-replay-play'),
+    // Sky chart export
+    chartModal: $('chart-modal'),
+    chartTitle: $('chart-title'),
+    chartPreview: $('chart-preview'),
+    chartStatus: $('chart-status'),
+    btnChartSvg: $('btn-chart-svg'),
+    btnChartPng: $('btn-chart-png'),
+    btnChartClose: $('btn-chart-close'),
+    // AR view
+    arView: $('ar-view'),
+    arVideo: $('ar-video'),
+    arOverlay: $('ar-overlay'),
+    arPointer: $('ar-pointer'),
+    arPointerText: $('ar-pointer-text'),
+    arStatus: $('ar-status'),
+    btnArStart: $('btn-ar-start'),
   };
 
   // ── UTILITIES ────────────────────────────
@@ -119,6 +310,60 @@
   }
   function fmtShortCoord(v) { return v.toFixed(2); }
 
+  // For text from TLE name lines, CelesTrak or launch APIs going into innerHTML
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+  }
+
+  // Parses two-line or three-line (name + 2 lines) element sets.
+  // Returns [{ name, id, line1, line2 }]; malformed entries are skipped.
+  function parseTle(text) {
+    const lines = text.split(/\r?\n/).map(l => l.trimEnd()).filter(l => l.trim());
+    const out = [];
+    for (let i = 0; i < lines.length; i++) {
+      if (!lines[i].startsWith('1 ') || !lines[i + 1] || !lines[i + 1].startsWith('2 ')) continue;
+      const prev = lines[i - 1];
+      const hasName = prev && !prev.startsWith('1 ') && !prev.startsWith('2 ');
+      const id = parseInt(lines[i].substring(2, 7), 10);
+      out.push({
+        name: hasName ? prev.replace(/^0 /, '').trim() : `NORAD ${id}`,
+        id,
+        line1: lines[i],
+        line2: lines[i + 1],
+      });
+      i++;
+    }
+    return out;
+  }
+
+  // TLE epoch as a Date — line 1 columns 19–32 hold YYDDD.DDDDDDDD
+  function tleEpoch(line1) {
+    const yy = parseInt(line1.substring(18, 20), 10);
+    const day = parseFloat(line1.substring(20, 32));
+    return new Date(Date.UTC(yy < 57 ? 2000 + yy : 1900 + yy, 0, 1) + (day - 1) * 86400000);
+  }
+
+  // Revolution number at a moment. Line 2 columns 64–68 hold the count at
+  // epoch; it ticks over at each ascending node (argument of latitude 0).
+  function orbitNumber(sat, date) {
+    const rec = sat.satrec;
+    const u0 = ((rec.argpo + rec.mo) / (2 * Math.PI)) % 1;
+    const revs = (date - sat.tleEpoch) / 60000 * rec.no / (2 * Math.PI);
+    return parseInt(sat.tle.line2.substring(63, 68), 10) + Math.floor(u0 + revs);
+  }
+
+  // When a response is the service worker's offline copy, the time it was saved
+  function cachedAt(r) {
+    const saved = r.headers.get('X-Cached-At');
+    return saved ? new Date(saved) : null;
+  }
+
+  function fmtAge(ms) {
+    const h = ms / 3600000;
+    if (h < 1) return '< 1 h';
+    return h < 24 ? `${Math.round(h)} h` : `${(h / 24).toFixed(1)} d`;
+  }
+
   function haversine(lat1, lon1, lat2, lon2) {
     const dLat = (lat2 - lat1) * RAD;
     const dLon = (lon2 - lon1) * RAD;
@@ -126,54 +371,55 @@
     return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
   }
 
-  function slantRange(obsLat, obsLon, obsAlt, issLat, issLon, issAlt) {
-    const R = 6371;
-    const toCart = (lat, lon, alt) => {
-      const r = R + alt;
-      return [
-        r * Math.cos(lat * RAD) * Math.cos(lon * RAD),
-        r * Math.cos(lat * RAD) * Math.sin(lon * RAD),
-        r * Math.sin(lat * RAD),
-      ];
-    };
-    const o = toCart(obsLat, obsLon, obsAlt);
-    const s = toCart(issLat, issLon, issAlt);
-    return Math.sqrt((s[0] - o[0]) ** 2 + (s[1] - o[1]) ** 2 + (s[2] - o[2]) ** 2);
+  // ── MOON ─────────────────────────────────
+  // "4° below the Moon" from a { separation, side } (see Orbit.moonRelation),
+  // or '' when the Moon is down or too far away to be worth a mention
+  function moonHint(moon, rel = moon) {
+    if (!moon || moon.el <= 0 || rel.separation > MOON_HINT_DEG) return '';
+    return `${rel.separation < 1 ? 'right by' : `${rel.separation.toFixed(0)}° ${rel.side}`} the Moon`;
+  }
+
+  // ── STAR MAP DEPTH ───────────────────────
+  // The star map slider fades the layer in and deepens it from the
+  // brightest stars (mag 1) down to what this sky actually shows, per
+  // the Bortle class picked under Viewing Conditions (StarMap stops at
+  // its catalog's depth)
+  function starLimit(sliderVal) {
+    return 1 + (BORTLE_NELM[state.bortle] - 1) * sliderVal / 100;
+  }
+
+  // ── REFRACTION ───────────────────────────
+  // The atmosphere Orbit corrects elevations for, per the prediction
+  // settings: null when refraction is switched off
+  function atmosphere() {
+    const mode = state.predictSettings.refraction;
+    if (mode === 'off') return null;
+    return mode === 'weather' && state.weather ? { ...state.weather } : {};
   }
 
-  // ── SUN ALTITUDE (for twilight filter) ──
-  // Returns the sun's altitude in degrees at a given date for an observer.
-  // Negative = below horizon.  < -6° = civil twilight or darker.
-  function sunAltitude(date, lat, lon) {
-    const JD = date.getTime() / 86400000 + 2440587.5;
-    const n = JD - 2451545.0;                       // days since J2000
-    const L = (280.460 + 0.9856474 * n) % 360;      // mean longitude
-    const g = ((357.528 + 0.9856003 * n) % 360) * RAD; // mean anomaly
-    const lambda = (L + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g)) * RAD; // ecliptic lon
-    const eps = 23.439 * RAD;                         // obliquity
-    const sinDec = Math.sin(eps) * Math.sin(lambda);
-    const dec = Math.asin(sinDec);
-
-    // Greenwich Mean Sidereal Time (hours)
-    const GMST = (18.697374558 + 24.06570982441908 * n) % 24;
-    const LST = GMST + lon / 15;                    // local sidereal time (hours)
-    // Right ascension
-    const RA = Math.atan2(Math.cos(eps) * Math.sin(lambda), Math.cos(lambda));
-    const HA = (LST * 15 * RAD) - RA;                // hour angle
-
-    const latR = lat * RAD;
-    const sinAlt = Math.sin(latR) * Math.sin(dec) + Math.cos(latR) * Math.cos(dec) * Math.cos(HA);
-    return Math.asin(sinAlt) * DEG;
+  // How strongly an atmosphere bends light, relative to the standard one (0 = off)
+  function refractionScale(atm) {
+    if (!atm) return 0;
+    const { tempC = 10, pressureHPa = 1010 } = atm;
+    return (pressureHPa / 1010) * (283 / (273 + tempC));
   }
 
+  // ── TWILIGHT ─────────────────────────────
+  // Sun/shadow/brightness maths lives in orbit.js (shared with the worker).
   // Returns true if the sun is below -6° (civil twilight or darker)
   function isTwilightOrNight(date) {
-    return sunAltitude(date, OBSERVER.lat, OBSERVER.lon) < -6;
+    return Orbit.isTwilightOrNight(date, OBSERVER);
+  }
+
+  function fmtMag(mag) {
+    return mag == null ? '—' : (mag < 0 ? '−' : '+') + Math.abs(mag).toFixed(1);
   }
 
   // ── CLOCK ────────────────────────────────
+  // Shows the sky clock's time, highlighted whenever it isn't real time
   function tickClock() {
-    dom.clock.textContent = fmtTime(new Date());
+    dom.clock.textContent = fmtTime(SkyClock.now());
+    dom.clock.classList.toggle('clock-sky', !SkyClock.isLive());
   }
 
   // ══════════════════════════════════════════
@@ -248,18 +494,33 @@
       }
     },
 
-    applyLocation(lat, lon, alt) {
+    // save = false shows a location (e.g. from a shared link) without
+    // making it this browser's own
+    applyLocation(lat, lon, alt, save = true) {
       OBSERVER = { lat, lon, alt: alt || 0.04 };
-      localStorage.setItem('observer_loc', JSON.stringify(OBSERVER));
+      if (save) {
+        localStorage.setItem('observer_loc', JSON.stringify(OBSERVER));
+        DeepLink.hideBanner();
+      }
 
       // Re-compute everything
+      HorizonMask.load();
       PassPredictor.init();
       WeatherChecker.fetch();
 
       if (typeof LaunchTracker !== 'undefined') {
         LaunchTracker.setObserver(lat, lon);
-        LaunchTracker.refresh(null, dom.launchPano);
+        LaunchTracker.refresh(null, dom.launchPano).then(launchesUpdated);
       }
+      updateGroundTrack();
+    },
+
+    setFromMap(lat, lon) {
+      dom.inputLat.value = lat.toFixed(4);
+      dom.inputLon.value = lon.toFixed(4);
+      this.applyLocation(lat, lon, 0.04);
+      this.setStatus(`Set from map: ${lat.toFixed(4)}, ${lon.toFixed(4)}`, 'success');
+      this.reverseGeocode(lat, lon);
     },
 
     async reverseGeocode(lat, lon) {
@@ -282,7 +543,14 @@
       dom.locStatus.className = 'loc-status' + (cls ? ` ${cls}` : '');
     },
 
-    init() {
+    init(shared) {
+      if (shared) {
+        OBSERVER = shared;
+        dom.inputLat.value = shared.lat.toFixed(4);
+        dom.inputLon.value = shared.lon.toFixed(4);
+        this.reverseGeocode(shared.lat, shared.lon);
+        return;
+      }
       const saved = localStorage.getItem('observer_loc');
       if (saved) {
         try {
@@ -300,20 +568,485 @@
   };
 
   // ══════════════════════════════════════════
-  //  ISS TRACKER (live position)
+  //  HORIZON MASK (trees and rooftops, per location)
+  // ══════════════════════════════════════════
+  // HORIZON_BINS obstruction elevations starting at north, saved per
+  // location (~100 m) under 'horizon_masks'. null = flat horizon.
+  const HorizonMask = {
+    mask: null,
+    editing: false,
+    layer: null,
+    dragging: false,
+
+    key() { return `${OBSERVER.lat.toFixed(3)},${OBSERVER.lon.toFixed(3)}`; },
+
+    all() {
+      try {
+        return JSON.parse(localStorage.getItem('horizon_masks') || '{}');
+      } catch (e) {
+        return {};
+      }
+    },
+
+    load() {
+      const saved = this.all()[this.key()];
+      this.mask = Array.isArray(saved) && saved.length === HORIZON_BINS ? saved : null;
+      this.renderTable();
+      if (this.editing) this.drawEditLayer();
+    },
+
+    save() {
+      const all = this.all();
+      if (this.mask && this.mask.some(v => v > 0)) {
+        all[this.key()] = this.mask;
+      } else {
+        delete all[this.key()];
+        this.mask = null;
+      }
+      localStorage.setItem('horizon_masks', JSON.stringify(all));
+    },
+
+    elevationAt(az) { return Orbit.maskElevation(this.mask, az); },
+
+    set(bin, el) {
+      if (!this.mask) this.mask = new Array(HORIZON_BINS).fill(0);
+      this.mask[bin] = Math.round(Math.max(0, Math.min(HORIZON_MAX_EL, el)));
+    },
+
+    // Saves the mask and re-runs the predictions against it
+    apply() {
+      this.save();
+      this.renderTable();
+      this.setStatus(this.mask ? 'Saved for this location' : 'Flat horizon', 'success');
+      PassPredictor.predict();
+      if (RadarBlip.activePass) RadarBlip.drawPredictedArc(RadarBlip.activePass, RadarBlip.activeColor);
+    },
+
+    clear() {
+      this.mask = null;
+      if (this.editing) this.drawEditLayer();
+      this.apply();
+    },
+
+    setStatus(msg, cls) {
+      dom.horizonStatus.textContent = msg;
+      dom.horizonStatus.className = 'loc-status' + (cls ? ` ${cls}` : '');
+    },
+
+    renderTable() {
+      dom.horizonTable.innerHTML = Array.from({ length: HORIZON_BINS }, (_, i) => `
+        <label class="horizon-cell">
+          <span>${bearingToCardinal(i * 360 / HORIZON_BINS)}</span>
+          <input type="number" class="mono" min="0" max="${HORIZON_MAX_EL}" step="1" data-bin="${i}" value="${this.mask ? this.mask[i] : 0}">
+        </label>`).join('');
+      dom.horizonTable.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => {
+          const el = parseFloat(input.value);
+          this.set(parseInt(input.dataset.bin, 10), isNaN(el) ? 0 : el);
+          this.apply();
+        });
+      });
+    },
+
+    // ── Drawing on the radar ──
+    startEditing() {
+      switchView('radar');
+      document.querySelector('.radar-container').scrollIntoView({ behavior: 'smooth', block: 'center' });
+      this.editing = true;
+      dom.horizonEditBar.classList.remove('hidden');
+      this.drawEditLayer();
+    },
+
+    stopEditing() {
+      this.editing = false;
+      this.dragging = false;
+      dom.horizonEditBar.classList.add('hidden');
+      if (this.layer) {
+        this.layer.remove();
+        this.layer = null;
+      }
+      this.apply();
+    },
+
+    // Pointer position → the bin under it and the elevation at that radius
+    editAt(clientX, clientY) {
+      const rect = this.layer.getBoundingClientRect();
+      const x = (clientX - rect.left) / rect.width * 340 - 170;
+      const y = (clientY - rect.top) / rect.height * 340 - 170;
+      const screenAz = (Math.atan2(y, x) * DEG + 90 + 360) % 360;
+      const az = (CompassArrow.hasOrientation && CompassArrow.compassLocked) ? screenAz : (screenAz + state.heading) % 360;
+      const el = 90 * (1 - Math.min(1, Math.hypot(x, y) / 160));
+      this.set(Math.round(az / (360 / HORIZON_BINS)) % HORIZON_BINS, el);
+      this.drawEditLayer();
+    },
+
+    drawEditLayer() {
+      const ring = document.querySelector('.radar-ring');
+      if (!ring) return;
+      if (!this.layer) {
+        this.layer = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        this.layer.setAttribute('class', 'horizon-edit-layer');
+        this.layer.setAttribute('viewBox', '0 0 340 340');
+        ring.appendChild(this.layer);
+
+        // Swallow presses so dragging here doesn't also turn the heading
+        const start = (e, x, y) => {
+          e.stopPropagation();
+          e.preventDefault();
+          this.dragging = true;
+          this.editAt(x, y);
+        };
+        this.layer.addEventListener('mousedown', e => start(e, e.clientX, e.clientY));
+        this.layer.addEventListener('touchstart', e => start(e, e.touches[0].clientX, e.touches[0].clientY));
+        this.layer.addEventListener('mousemove', e => { if (this.dragging) this.editAt(e.clientX, e.clientY); });
+        this.layer.addEventListener('touchmove', e => {
+          if (!this.dragging) return;
+          e.preventDefault();
+          this.editAt(e.touches[0].clientX, e.touches[0].clientY);
+        });
+      }
+
+      let html = `<path class="horizon-mask" d="${RadarBlip.maskPath()}" fill-rule="evenodd"/>`;
+      for (let i = 0; i < HORIZON_BINS; i++) {
+        const az = i * 360 / HORIZON_BINS;
+        const pt = RadarBlip.toXY({ az, el: this.mask ? this.mask[i] : 0 });
+        html += `<circle class="horizon-handle" cx="${pt.x.toFixed(1)}" cy="${pt.y.toFixed(1)}" r="4"/>`;
+      }
+      this.layer.innerHTML = html;
+    },
+
+    init() {
+      this.load();
+      dom.btnHorizonDraw.addEventListener('click', () => this.startEditing());
+      dom.btnHorizonClear.addEventListener('click', () => this.clear());
+      dom.btnHorizonDone.addEventListener('click', () => this.stopEditing());
+      // A drag can end anywhere on the page, not just over the edit layer
+      window.addEventListener('mouseup', () => { this.dragging = false; });
+      window.addEventListener('touchend', () => { this.dragging = false; });
+    }
+  };
+
+  // ══════════════════════════════════════════
+  //  TLE CACHE (last good elements per satellite)
+  // ══════════════════════════════════════════
+  // { [noradId]: { name, line1, line2, source: 'network'|'manual', savedAt } }
+  const TleCache = {
+    all() {
+      try {
+        return JSON.parse(localStorage.getItem('tle_cache') || '{}');
+      } catch (e) {
+        return {};
+      }
+    },
+    get(id) { return this.all()[id] || null; },
+    put(id, tle, source) {
+      const all = this.all();
+      all[id] = { name: tle.name, line1: tle.line1, line2: tle.line2, source, savedAt: new Date().toISOString() };
+      localStorage.setItem('tle_cache', JSON.stringify(all));
+    },
+    remove(id) {
+      const all = this.all();
+      delete all[id];
+      localStorage.setItem('tle_cache', JSON.stringify(all));
+    }
+  };
+
+  // ══════════════════════════════════════════
+  //  SATELLITE CATALOG
+  // ══════════════════════════════════════════
+  const SatelliteCatalog = {
+    load() {
+      let saved = null;
+      try {
+        saved = JSON.parse(localStorage.getItem('sat_catalog') || 'null');
+      } catch (e) { /* fall through */ }
+      const entries = Array.isArray(saved) && saved.length ? saved : SAT_PRESETS.map(p => ({ ...p, custom: false }));
+      // The ISS is what this app is named after — it can't be removed
+      if (!entries.some(e => e.id === ISS_ID)) entries.unshift({ ...SAT_PRESETS[0], custom: false });
+
+      state.satellites = entries.map(({ pastedTle, ...e }) => {
+        // Catalogs saved before the TLE cache kept pasted elements inline
+        if (pastedTle && !TleCache.get(e.id)) TleCache.put(e.id, pastedTle, 'manual');
+        return { ...e, tle: null, satrec: null, tleEpoch: null, tleSource: null, passes: [] };
+      });
+
+      const sel = parseInt(localStorage.getItem('sat_selected'), 10);
+      state.selectedSatId = this.get(sel) ? sel : ISS_ID;
+    },
+
+    save() {
+      const entries = state.satellites.map(sat => ({
+        id: sat.id,
+        name: sat.name,
+        color: sat.color,
+        stdMag: sat.stdMag,
+        custom: sat.custom,
+      }));
+      localStorage.setItem('sat_catalog', JSON.stringify(entries));
+    },
+
+    get(id) { return state.satellites.find(s => s.id === id) || null; },
+    selected() { return this.get(state.selectedSatId) || state.satellites[0]; },
+
+    select(id) {
+      const sat = this.get(id);
+      if (!sat) return;
+      state.selectedSatId = id;
+      state.tle = sat.tle;
+      state.satrec = sat.satrec;
+      localStorage.setItem('sat_selected', String(id));
+      dom.satName.textContent = sat.name;
+      dom.issBlip.style.setProperty('--sat-color', sat.color);
+      this.renderList();
+      this.updateTleBadge();
+      if (ISSTracker.interval) ISSTracker.fetch();
+    },
+
+    // Installs elements on a catalog entry. Fresh (network/manual) elements
+    // are cached; 'cache' marks an offline fallback.
+    setTle(sat, tle, source) {
+      sat.tle = { name: tle.name, line1: tle.line1, line2: tle.line2 };
+      sat.satrec = satellite.twoline2satrec(tle.line1, tle.line2);
+      sat.tleEpoch = tleEpoch(tle.line1);
+      sat.tleSource = source;
+      if (source !== 'cache') TleCache.put(sat.id, sat.tle, source);
+      if (sat.id === state.selectedSatId) {
+        state.tle = sat.tle;
+        state.satrec = sat.satrec;
+        this.updateTleBadge();
+      }
+    },
+
+    tleAge(sat) {
+      return sat.tleEpoch ? Date.now() - sat.tleEpoch.getTime() : null;
+    },
+
+    isStale(sat) {
+      const age = this.tleAge(sat);
+      return age !== null && age > TLE_STALE_DAYS * 86400000;
+    },
+
+    // "TLE 1.2 d" in the stats bar — amber once the elements are stale,
+    // and flagged when they're an offline fallback rather than fresh
+    updateTleBadge() {
+      const sat = this.selected();
+      const age = this.tleAge(sat);
+      const stale = this.isStale(sat);
+      dom.tleAge.textContent = age === null ? '—'
+        : `${stale ? '⚠️ ' : ''}${fmtAge(age)}${sat.tleSource === 'cache' ? ' · cached' : ''}`;
+      dom.tleAgeCard.classList.toggle('tle-stale', stale);
+      dom.tleAgeCard.title = age === null ? 'No orbital elements loaded'
+        : `Elements epoch ${sat.tleEpoch.toUTCString()}` +
+          (sat.tleSource === 'cache' ? ' — offline, using the last cached TLE' : sat.tleSource === 'manual' ? ' — pasted manually' : '') +
+          (stale ? `. Older than ${TLE_STALE_DAYS} days: pass times may be off by a minute or more.` : '');
+    },
+
+    nextColor() {
+      const used = state.satellites.map(s => s.color);
+      return SAT_PALETTE.find(c => !used.includes(c)) || SAT_PALETTE[state.satellites.length % SAT_PALETTE.length];
+    },
+
+    async addByNorad() {
+      const id = parseInt((dom.inputNorad.value || '').trim(), 10);
+      if (!id || id < 1 || id > 999999) {
+        this.setStatus('Enter a numeric NORAD catalog ID (e.g. 48274)', 'error');
+        return;
+      }
+      if (this.get(id)) {
+        this.setStatus(`NORAD ${id} is already in the list`, 'error');
+        return;
+      }
+      this.setStatus(`Fetching TLE for NORAD ${id}…`, '');
+      const sat = { id, name: `NORAD ${id}`, color: this.nextColor(), stdMag: DEFAULT_STD_MAG, custom: true, tle: null, satrec: null, passes: [] };
+      try {
+        await PassPredictor.loadTle(sat);
+      } catch (e) {
+        this.setStatus(`Could not fetch a TLE for NORAD ${id} — offline? Paste its elements below instead`, 'error');
+        return;
+      }
+      sat.name = sat.tle.name || sat.name;
+      this.add(sat);
+      dom.inputNorad.value = '';
+    },
+
+    // Accepts one TLE or a whole CelesTrak 3LE file. Known objects get their
+    // elements updated; anything new is added to the catalog, up to
+    // TLE_PASTE_MAX_NEW at a time.
+    addFromTle() {
+      const parsed = parseTle(dom.inputTle.value || '');
+      if (parsed.length === 0) {
+        this.setStatus('Could not read a TLE — paste the name line plus lines 1 and 2', 'error');
+        return;
+      }
+      let updated = 0;
+      let skipped = 0;
+      const added = [];
+      parsed.forEach(tle => {
+        const existing = this.get(tle.id);
+        if (existing) {
+          this.setTle(existing, tle, 'manual');
+          updated++;
+          return;
+        }
+        if (added.length >= TLE_PASTE_MAX_NEW) {
+          skipped++;
+          return;
+        }
+        const sat = { id: tle.id, name: tle.name, color: this.nextColor(), stdMag: DEFAULT_STD_MAG, custom: true, passes: [] };
+        this.setTle(sat, tle, 'manual');
+        state.satellites.push(sat);
+        added.push(sat.name);
+      });
+      this.save();
+      this.setStatus([
+        updated ? `Updated elements for ${updated} satellite${updated > 1 ? 's' : ''}` : '',
+        added.length ? `Added ${added.join(', ')}` : '',
+        skipped ? `${skipped} more not added — up to ${TLE_PASTE_MAX_NEW} new satellites per paste` : '',
+      ].filter(Boolean).join(' · '), skipped ? 'error' : 'success');
+      dom.inputTle.value = '';
+      this.renderList();
+      this.renderFilters();
+      PassPredictor.predict();
+    },
+
+    add(sat) {
+      state.satellites.push(sat);
+      this.save();
+      this.setStatus(`Added ${sat.name}`, 'success');
+      this.renderList();
+      this.renderFilters();
+      PassPredictor.predict();
+    },
+
+    remove(id) {
+      if (id === ISS_ID) return;
+      state.satellites = state.satellites.filter(s => s.id !== id);
+      TleCache.remove(id);
+      this.save();
+      if (state.activeFilter === `sat:${id}`) setFilter('pass');
+      if (state.selectedSatId === id) this.select(ISS_ID);
+      this.renderList();
+      this.renderFilters();
+      PassPredictor.predict();
+    },
+
+    setStatus(msg, cls) {
+      dom.satStatus.textContent = msg;
+      dom.satStatus.className = 'loc-status' + (cls ? ` ${cls}` : '');
+    },
+
+    renderList() {
+      dom.satList.innerHTML = state.satellites.map(sat => `
+        <div class="sat-row${sat.id === state.selectedSatId ? ' active' : ''}" data-id="${sat.id}">
+          <span class="sat-swatch" style="background:${sat.color}"></span>
+          <span class="sat-row-name">${escapeHtml(sat.name)}</span>
+          <span class="sat-row-meta mono${this.isStale(sat) ? ' tle-stale' : ''}">#${sat.id} · ${sat.satrec ? `${sat.passes.length} passes · TLE ${fmtAge(this.tleAge(sat))}${sat.tleSource === 'cache' ? ' cached' : ''}` : 'no TLE'}</span>
+          <button class="btn btn-ghost btn-sm sat-track">${sat.id === state.selectedSatId ? 'Tracking' : 'Track'}</button>
+          ${sat.id !== ISS_ID ? '<button class="btn btn-ghost btn-sm sat-remove" title="Remove">✕</button>' : ''}
+        </div>`).join('');
+
+      dom.satList.querySelectorAll('.sat-row').forEach(row => {
+        const id = parseInt(row.dataset.id, 10);
+        row.querySelector('.sat-track').addEventListener('click', () => this.select(id));
+        const rm = row.querySelector('.sat-remove');
+        if (rm) rm.addEventListener('click', () => this.remove(id));
+      });
+    },
+
+    // One "passes" filter button per satellite, next to the All/Passes/Launches filters
+    renderFilters() {
+      dom.satFilters.innerHTML = state.satellites.map(sat => `
+        <button class="filter-btn${state.activeFilter === `sat:${sat.id}` ? ' active' : ''}" data-filter="sat:${sat.id}">
+          <span class="sat-swatch" style="background:${sat.color}"></span>${escapeHtml(sat.name)}
+        </button>`).join('');
+      dom.satFilters.querySelectorAll('.filter-btn').forEach(btn => {
+        btn.addEventListener('click', () => setFilter(btn.dataset.filter));
+      });
+    },
+
+    init() {
+      this.load();
+      this.select(state.selectedSatId);
+      this.renderFilters();
+
+      dom.btnAddNorad.addEventListener('click', () => this.addByNorad());
+      dom.inputNorad.addEventListener('keydown', e => { if (e.key === 'Enter') this.addByNorad(); });
+      dom.btnAddTle.addEventListener('click', () => this.addFromTle());
+    }
+  };
+
+  // ══════════════════════════════════════════
+  //  ISS TRACKER (live position of the selected satellite)
   // ══════════════════════════════════════════
   const ISSTracker = {
     interval: null,
+    offset: null,   // ECF km, API fix minus TLE position at the last poll
+    drift: null,    // |offset| — how far the TLE has wandered from the API
+
     async fetch() {
+      const sat = SatelliteCatalog.selected();
+      if (sat.id !== ISS_ID || !SkyClock.isLive()) {
+        // wheretheiss.at only serves the ISS, and only now — propagate
+        // everything else (and any other instant) locally
+        this.anchor(sat, null);
+        const d = this.propagate(sat, SkyClock.now());
+        if (d) {
+          state.issPos = d;
+          this.updateUI(d);
+        }
+        return;
+      }
       try {
         const r = await fetch(WTIA_POS);
         if (!r.ok) throw new Error(r.status);
         const d = await r.json();
+        if (state.selectedSatId !== ISS_ID || !SkyClock.isLive()) return; // selection or clock changed mid-request
         state.issPos = d;
+        this.anchor(sat, d);
         this.updateUI(d);
       } catch (e) {
-        console.warn('ISS position fetch failed:', e);
+        console.warn('ISS position fetch failed, propagating locally:', e);
+        this.anchor(sat, null);
+        const d = this.propagate(sat, SkyClock.now());
+        if (d && state.selectedSatId === ISS_ID) {
+          state.issPos = d;
+          this.updateUI(d);
+        }
+      }
+    },
+    // Remembers where the API fix sits relative to the TLE so the one-second
+    // SGP4 ticks between polls continue from the fix instead of jumping
+    anchor(sat, d) {
+      const tleEcf = d && sat.satrec
+        ? Orbit.satEcf(sat.satrec, d.timestamp ? new Date(d.timestamp * 1000) : new Date())
+        : null;
+      if (!tleEcf) {
+        this.offset = null;
+        this.drift = null;
+      } else {
+        const apiEcf = Orbit.geodeticToEcf(d.latitude, d.longitude, d.altitude);
+        this.offset = { x: apiEcf.x - tleEcf.x, y: apiEcf.y - tleEcf.y, z: apiEcf.z - tleEcf.z };
+        this.drift = Math.hypot(this.offset.x, this.offset.y, this.offset.z);
       }
+      dom.issDrift.textContent = this.drift === null ? '—' : fmtNum(this.drift, this.drift < 10 ? 1 : 0);
+      dom.issDriftCard.title = this.drift === null
+        ? 'No independent position fix — angles come from the TLE alone'
+        : 'Distance between the wheretheiss.at position and the TLE-propagated position';
+    },
+    // SGP4 sub-satellite point in the same shape as the wheretheiss.at response
+    propagate(sat, date) {
+      if (!sat.satrec) return null;
+      const posVel = satellite.propagate(sat.satrec, date);
+      if (!posVel.position) return null;
+      const geo = satellite.eciToGeodetic(posVel.position, satellite.gstime(date));
+      const v = posVel.velocity;
+      return {
+        latitude: geo.latitude * DEG,
+        longitude: geo.longitude * DEG,
+        altitude: geo.height,
+        velocity: Math.hypot(v.x, v.y, v.z) * 3600,
+        visibility: Orbit.earthShadow(posVel.position, date) === 'sunlit' ? 'daylight' : 'eclipsed',
+      };
     },
     updateUI(d) {
       dom.issLat.textContent = fmtShortCoord(d.latitude) + '°';
@@ -321,40 +1054,47 @@
       dom.issAlt.textContent = fmtNum(d.altitude, 0);
       dom.issVel.textContent = fmtNum(d.velocity, 0);
       dom.issVis.textContent = d.visibility.charAt(0).toUpperCase() + d.visibility.slice(1);
-
-      const range = slantRange(OBSERVER.lat, OBSERVER.lon, OBSERVER.alt, d.latitude, d.longitude, d.altitude);
-      dom.issRange.textContent = fmtNum(range, 0);
+      SatelliteCatalog.updateTleBadge();
 
       this.computeLookAngles(d);
+      CompassArrow.update();
+      updateGroundTrack();
     },
+    // Topocentric angles of the reported position on the WGS-84 ellipsoid
     computeLookAngles(d) {
-      const dLat = (d.latitude - OBSERVER.lat) * RAD;
-      const dLon = (d.longitude - OBSERVER.lon) * RAD;
-      const obsLatR = OBSERVER.lat * RAD;
-
-      const y = Math.sin(dLon) * Math.cos(d.latitude * RAD);
-      const x = Math.cos(obsLatR) * Math.sin(d.latitude * RAD) - Math.sin(obsLatR) * Math.cos(d.latitude * RAD) * Math.cos(dLon);
-      let az = Math.atan2(y, x) * DEG;
-      if (az < 0) az += 360;
-
-      const groundDist = haversine(OBSERVER.lat, OBSERVER.lon, d.latitude, d.longitude);
-      const altDiff = d.altitude - OBSERVER.alt;
-      const el = Math.atan2(altDiff, groundDist) * DEG;
-
-      if (!state.simulating) {
-        state.issAz = az;
-        state.issEl = el;
+      this.showLookAngles(Orbit.ecfLookAngles(OBSERVER, Orbit.geodeticToEcf(d.latitude, d.longitude, d.altitude)));
+    },
+    // Called every second: SGP4 to the sky clock, shifted by the last API offset
+    tick() {
+      const sat = SatelliteCatalog.selected();
+      if (!sat.satrec || !state.issPos) return;
+      const ecf = Orbit.satEcf(sat.satrec, SkyClock.now());
+      if (!ecf) return;
+      const o = this.offset || { x: 0, y: 0, z: 0 };
+      this.showLookAngles(Orbit.ecfLookAngles(OBSERVER, { x: ecf.x + o.x, y: ecf.y + o.y, z: ecf.z + o.z }));
+    },
+    showLookAngles({ az, el, range }) {
+      dom.issRange.textContent = fmtNum(range, 0);
+      if (state.simulating) return;
 
-        dom.issAzEl.textContent = `${az.toFixed(1)}°`;
-        dom.issElEl.textContent = `${el.toFixed(1)}°`;
-        dom.arrowAz.textContent = `${az.toFixed(1)}°`;
-        dom.arrowEl.textContent = `${el.toFixed(1)}°`;
+      state.issAz = az;
+      state.issEl = el;
 
-        CompassArrow.update();
+      dom.issAzEl.textContent = `${az.toFixed(1)}°`;
+      dom.issElEl.textContent = `${el.toFixed(1)}°`;
+      dom.arrowAz.textContent = `${az.toFixed(1)}°`;
+      dom.arrowEl.textContent = `${el.toFixed(1)}°`;
 
-        if (typeof StarMap !== 'undefined') {
-          const hint = StarMap.getLandmarkHint(az, el);
-          dom.skyHint.textContent = el > 0 ? `🌟 ISS visible — ${hint}` : hint;
+      if (typeof StarMap !== 'undefined') {
+        const name = SatelliteCatalog.selected().name;
+        if (el > 0) {
+          const now = SkyClock.now();
+          const moon = Orbit.moonPosition(now, OBSERVER);
+          const nearMoon = moonHint(moon, Orbit.moonRelation(az, el, moon));
+          const hint = StarMap.landmarkNear(az, el, now, OBSERVER.lat, OBSERVER.lon);
+          dom.skyHint.textContent = `🌟 ${name} visible — ${hint}${nearMoon ? `, ${nearMoon}` : ''}`;
+        } else {
+          dom.skyHint.textContent = `${name} is below the horizon`;
         }
       }
     },
@@ -368,125 +1108,469 @@
   //  PASS PREDICTOR (satellite.js)
   // ══════════════════════════════════════════
   const PassPredictor = {
+    retryTimer: null,
+
     async init() {
+      this.cancel(); // results for the previous observer are no longer wanted
+      clearTimeout(this.retryTimer);
+      const results = await Promise.allSettled(state.satellites.map(sat => this.loadTle(sat)));
+      results.forEach((r, i) => {
+        if (r.status === 'rejected') console.warn(`TLE fetch failed for ${state.satellites[i].name}:`, r.reason);
+      });
+      SatelliteCatalog.renderList();
+      OfflineMode.update();
+      if (!state.satellites.some(sat => sat.satrec)) {
+        dom.eventList.innerHTML = `<div class="pass-loading glass-card"><span>⚠️ Could not load TLE data and nothing is cached. Paste elements under Settings → Satellites, or wait — retrying…</span></div>`;
+        this.retryTimer = setTimeout(() => this.init(), 10000);
+        return;
+      }
+      this.scheduleRefresh();
+      this.predict();
+    },
+
+    // Fetches elements for one catalog entry and falls back to the last
+    // cached set when every source fails. Manually pasted elements win
+    // over a fetch while they're the newer of the two.
+    async loadTle(sat) {
+      const cached = TleCache.get(sat.id);
+      let tle;
       try {
-        const r = await fetch(WTIA_TLE);
-        if (!r.ok) throw new Error(r.status);
-        const d = await r.json();
-        state.tle = d;
-        state.satrec = satellite.twoline2satrec(d.line1, d.line2);
-        this.predict();
+        tle = await this.fetchTle(sat.id);
       } catch (e) {
-        console.error('TLE fetch failed:', e);
-        dom.eventList.innerHTML = `<div class="pass-loading glass-card"><span>⚠️ Could not load TLE data. Retrying…</span></div>`;
-        setTimeout(() => this.init(), 10000);
+        if (!cached) throw e;
+        console.warn(`TLE fetch failed for ${sat.name}, using cached elements:`, e);
+        SatelliteCatalog.setTle(sat, cached, 'cache');
+        return sat.tle;
+      }
+      // The service worker's offline copy is no fresher than our own cache
+      if (tle.cachedAt) {
+        SatelliteCatalog.setTle(sat, cached || tle, 'cache');
+        return sat.tle;
       }
+      if (cached && cached.source === 'manual' && tleEpoch(cached.line1) > tleEpoch(tle.line1)) {
+        SatelliteCatalog.setTle(sat, cached, 'manual');
+      } else {
+        SatelliteCatalog.setTle(sat, tle, 'network');
+      }
+      return sat.tle;
     },
 
-    lookAngles(date) {
-      const gmst = satellite.gstime(date);
-      const posVel = satellite.propagate(state.satrec, date);
-      if (!posVel.position) return null;
+    // Sources in order of preference: wheretheiss.at for the ISS, then
+    // CelesTrak's 3LE text for everything (and as the ISS backup)
+    async fetchTle(id) {
+      const sources = id === ISS_ID ? [this.fetchWtia, this.fetchCelestrak] : [this.fetchCelestrak];
+      let lastErr;
+      for (const source of sources) {
+        try {
+          return await source.call(this, id);
+        } catch (e) {
+          lastErr = e;
+        }
+      }
+      throw lastErr;
+    },
 
-      const posEci = posVel.position;
-      const observerGd = {
-        longitude: OBSERVER.lon * RAD,
-        latitude: OBSERVER.lat * RAD,
-        height: OBSERVER.alt
-      };
-      const posEcf = satellite.eciToEcf(posEci, gmst);
-      const lookAnglesResult = satellite.ecfToLookAngles(observerGd, posEcf);
+    async fetchWtia() {
+      const r = await fetch(WTIA_TLE);
+      if (!r.ok) throw new Error(r.status);
+      return { ...await r.json(), cachedAt: cachedAt(r) };
+    },
 
-      return {
-        az: lookAnglesResult.azimuth * DEG,
-        el: lookAnglesResult.elevation * DEG,
-        range: lookAnglesResult.rangeSat
-      };
+    async fetchCelestrak(id) {
+      const r = await fetch(`${CELESTRAK_GP}?CATNR=${id}&FORMAT=TLE`);
+      if (!r.ok) throw new Error(r.status);
+      const tle = parseTle(await r.text())[0];
+      if (!tle) throw new Error(`No elements for NORAD ${id}`);
+      return { ...tle, cachedAt: cachedAt(r) };
+    },
+
+    // While any satellite runs on cached (or no) elements, keep trying the
+    // network quietly and re-predict once fresh elements arrive
+    scheduleRefresh() {
+      clearTimeout(this.retryTimer);
+      if (!state.satellites.some(sat => !sat.satrec || sat.tleSource === 'cache')) return;
+      this.retryTimer = setTimeout(() => this.refreshStale(), TLE_RETRY_MS);
+    },
+
+    async refreshStale() {
+      const stale = state.satellites.filter(sat => !sat.satrec || sat.tleSource === 'cache');
+      await Promise.allSettled(stale.map(sat => this.loadTle(sat)));
+      if (stale.some(sat => sat.satrec && sat.tleSource !== 'cache')) this.predict();
+      SatelliteCatalog.renderList();
+      OfflineMode.update();
+      this.scheduleRefresh();
+    },
+
+    lookAngles(date, sat = SatelliteCatalog.selected()) {
+      return Orbit.lookAngles(sat.satrec, OBSERVER, date, sat.stdMag);
+    },
+
+    // Whether the weather has moved the refraction far enough from what the
+    // passes were predicted with to be worth predicting again
+    atmosphereStale() {
+      if (this.usedAtmosphere === undefined) return false;
+      return Math.abs(refractionScale(atmosphere()) - refractionScale(this.usedAtmosphere)) > REFRACTION_REPREDICT;
     },
 
+    worker: null,
+    runId: 0,
+    pending: null,       // resolve() of the running predict() promise
+    rebuildTimer: null,
+    from: null,          // sky clock ms the current window starts at
+    realTime: false,     // predicted on the live clock — the only passes reminders follow
+    usedAtmosphere: undefined,   // atmosphere() the current passes were predicted with
+
+    // Predicts passes for every satellite with elements, from the sky clock's
+    // instant over the next predictSettings.days. The search runs in
+    // pass-worker.js and streams passes in as they're found; where workers
+    // aren't available (e.g. opened from file://) it falls back to the main
+    // thread, one satellite per tick. Resolves true when the run completes,
+    // false if a newer run or cancel() superseded it.
     predict() {
-      const passes = [];
-      const now = new Date();
-      const end = new Date(now.getTime() + 5 * 24 * 3600 * 1000);
-      const step = 30 * 1000;
-      const minEl = 10;
-
-      let inPass = false;
-      let currentPass = null;
-
-      for (let t = now.getTime(); t < end.getTime(); t += step) {
-        const date = new Date(t);
-        const la = this.lookAngles(date);
-        if (!la) continue;
-
-        if (la.el >= minEl) {
-          if (!inPass) {
-            inPass = true;
-            currentPass = {
-              riseTime: date,
-              riseAz: la.az,
-              maxEl: la.el,
-              maxElTime: date,
-              maxElAz: la.az,
-              setTime: date,
-              setAz: la.az,
-              points: []
-            };
-          }
-          if (la.el > currentPass.maxEl) {
-            currentPass.maxEl = la.el;
-            currentPass.maxElTime = date;
-            currentPass.maxElAz = la.az;
-          }
-          currentPass.setTime = date;
-          currentPass.setAz = la.az;
-          currentPass.points.push({ time: date, az: la.az, el: la.el, range: la.range });
+      this.cancel();
+      const runId = ++this.runId;
+      const sats = state.satellites.filter(sat => sat.satrec);
+      state.satellites.forEach(sat => { sat.passes = []; });
+      state.passes = [];
+      state.predicting = true;
+      this.from = SkyClock.nowMs();
+      this.realTime = SkyClock.isLive();
+      this.usedAtmosphere = atmosphere();
+      EventListManager.rebuild();
+      TransitFinder.searchIfChanged(); // same elements and observer
+
+      return new Promise(resolve => {
+        this.pending = resolve;
+        try {
+          this.worker = new Worker(PASS_WORKER_URL);
+        } catch (e) {
+          this.worker = null;
+        }
+
+        if (this.worker) {
+          this.worker.onmessage = e => this.onMessage(runId, e.data);
+          this.worker.onerror = e => {
+            // e.g. satellite.js CDN unreachable inside the worker
+            console.warn('Pass worker failed, predicting on main thread:', e.message);
+            e.preventDefault();
+            if (runId !== this.runId) return;
+            this.worker.terminate();
+            this.worker = null;
+            state.satellites.forEach(sat => { sat.passes = []; });
+            state.passes = [];
+            this.predictInline(runId, sats);
+          };
+          this.worker.postMessage({
+            runId,
+            observer: { ...OBSERVER },
+            settings: { ...state.predictSettings, horizon: HorizonMask.mask, atmosphere: atmosphere(), from: this.from },
+            sats: sats.map(sat => ({ id: sat.id, line1: sat.tle.line1, line2: sat.tle.line2, stdMag: sat.stdMag })),
+          });
         } else {
-          if (inPass && currentPass) {
-            currentPass.duration = (currentPass.setTime - currentPass.riseTime) / 1000;
-            // Only keep passes during twilight/night (sun < -6°)
-            if (currentPass.duration >= 30 && isTwilightOrNight(currentPass.maxElTime)) {
-              passes.push(currentPass);
-            }
-          }
-          inPass = false;
-          currentPass = null;
+          this.predictInline(runId, sats);
         }
+      });
+    },
+
+    predictInline(runId, sats) {
+      const observer = { ...OBSERVER };
+      const settings = { ...state.predictSettings, horizon: HorizonMask.mask };
+      const next = i => {
+        if (runId !== this.runId) return;
+        if (i >= sats.length) return this.onMessage(runId, { type: 'done' });
+        Orbit.predictPasses(sats[i], observer, settings, pass => this.onMessage(runId, { type: 'pass', pass }), this.from);
+        this.onMessage(runId, { type: 'sat-done', satId: sats[i].id });
+        setTimeout(() => next(i + 1), 0);
+      };
+      setTimeout(() => next(0), 0);
+    },
+
+    onMessage(runId, msg) {
+      if (runId !== this.runId) return; // stale run
+      if (msg.type === 'pass') {
+        const sat = SatelliteCatalog.get(msg.pass.satId);
+        if (!sat) return;
+        sat.passes.push(msg.pass);
+        state.passes.push(msg.pass);
+        state.passes.sort((a, b) => a.riseTime - b.riseTime);
+        this.scheduleRebuild();
+      } else if (msg.type === 'sat-done') {
+        SatelliteCatalog.renderList();
+      } else if (msg.type === 'done') {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        state.predicting = false;
+        clearTimeout(this.rebuildTimer);
+        SatelliteCatalog.renderList();
+        EventListManager.rebuild();
+        if (this.pending) this.pending(true);
+        this.pending = null;
       }
+    },
 
-      state.passes = passes;
-      EventListManager.rebuild();
+    // Streamed passes arrive in bursts — coalesce list rebuilds
+    scheduleRebuild() {
+      if (this.rebuildTimer) return;
+      this.rebuildTimer = setTimeout(() => {
+        this.rebuildTimer = null;
+        EventListManager.rebuild();
+      }, 250);
+    },
+
+    // Whether the sky clock has left the predicted window
+    outOfWindow() {
+      const t = SkyClock.nowMs();
+      return this.from == null || t < this.from || t > this.from + state.predictSettings.days * 86400000;
+    },
+
+    // Abandons the running prediction (observer moved, settings changed…)
+    cancel() {
+      this.runId++;
+      if (this.worker) this.worker.terminate();
+      this.worker = null;
+      clearTimeout(this.rebuildTimer);
+      this.rebuildTimer = null;
+      state.predicting = false;
+      if (this.pending) this.pending(false);
+      this.pending = null;
+    },
+
+    // Reads the prediction settings form, validates and re-runs prediction
+    applySettings() {
+      const minEl = parseFloat(dom.inputMinEl.value);
+      const days = parseFloat(dom.inputWindowDays.value);
+      const minDuration = parseFloat(dom.inputMinDur.value);
+      const refraction = dom.inputRefraction.value;
+      const setStatus = (msg, cls) => {
+        dom.predictStatus.textContent = msg;
+        dom.predictStatus.className = 'loc-status' + (cls ? ` ${cls}` : '');
+      };
+      if (isNaN(minEl) || minEl < 0 || minEl > 60) return setStatus('Min elevation must be 0–60°', 'error');
+      if (isNaN(days) || days < 1 || days > 14) return setStatus('Window must be 1–14 days', 'error');
+      if (isNaN(minDuration) || minDuration < 0 || minDuration > 600) return setStatus('Min duration must be 0–600 s', 'error');
+
+      state.predictSettings = { minEl, days, minDuration, refraction };
+      localStorage.setItem('predict_settings', JSON.stringify(state.predictSettings));
+      Orbit.setAtmosphere(atmosphere());
+      setStatus(`Predicting ${days} day${days === 1 ? '' : 's'} above ${minEl}°…`, '');
+      this.predict().then(done => {
+        if (done) setStatus(`${state.passes.length} passes found`, 'success');
+      });
     }
   };
 
   // ══════════════════════════════════════════
-  //  WEATHER CHECKER
+  //  TRANSIT FINDER — satellites across the Sun and Moon
   // ══════════════════════════════════════════
-  const WeatherChecker = {
-    async fetch() {
-      if (!state.vcApiKey) {
-        dom.cloudCover.textContent = 'No Key';
-        dom.cloudIcon.textContent = '🔑';
-        this.updateOverallVis();
-        return;
-      }
-      try {
-        const url = `${VC_BASE}/${OBSERVER.lat},${OBSERVER.lon}/today?unitGroup=metric&include=current&key=${state.vcApiKey}&contentType=json`;
-        const r = await fetch(url);
-        if (!r.ok) throw new Error(`HTTP ${r.status}`);
-        const d = await r.json();
-        const cc = d.currentConditions?.cloudcover;
-        state.cloudCover = cc ?? null;
+  const TransitFinder = {
+    worker: null,
+    runId: 0,
+    searching: false,
+    rebuildTimer: null,
+    lastKey: '',         // inputs of the last search, see searchIfChanged()
+    lastFrom: null,      // ms the last search started at
+
+    // What a search depends on, bar its start time
+    inputsKey() {
+      const sats = state.satellites.filter(sat => sat.satrec).map(sat => [sat.id, sat.tle.line1, sat.tle.line2]);
+      const { radiusKm, days } = state.transitSettings;
+      return JSON.stringify([sats, OBSERVER.lat, OBSERVER.lon, OBSERVER.alt, radiusKm, days, refractionScale(atmosphere()).toFixed(2)]);
+    },
 
-        if (cc != null) {
-          dom.cloudCover.textContent = `${cc.toFixed(0)}%`;
-          dom.cloudIcon.textContent = cc < 25 ? '☀️' : cc < 60 ? '⛅' : '☁️';
-        }
+    // Called on every re-predict: a multi-week scan is only worth redoing
+    // when the elements, observer, settings or refraction changed, or the
+    // window now starts outside the span already searched
+    searchIfChanged() {
+      if (!state.transitSettings.enabled) return;
+      const from = PassPredictor.from || SkyClock.nowMs();
+      const covered = this.lastFrom != null && from >= this.lastFrom
+        && from < this.lastFrom + state.transitSettings.days * 86400000;
+      if (this.inputsKey() === this.lastKey && covered) return;
+      this.search();
+    },
+
+    // Looks for transits and near misses whose centreline comes within
+    // transitSettings.radiusKm, using the pass worker's 'transits' task
+    // (or the main thread without workers), one satellite at a time
+    search() {
+      this.cancel();
+      const runId = ++this.runId;
+      const sats = state.satellites.filter(sat => sat.satrec);
+      state.transits = [];
+      this.searching = true;
+      if (typeof GroundTrack !== 'undefined') GroundTrack.showTransit(null);
+      EventListManager.rebuild();
+      const settings = { ...state.transitSettings, atmosphere: atmosphere(), from: PassPredictor.from || SkyClock.nowMs() };
+      this.lastKey = this.inputsKey();
+      this.lastFrom = settings.from;
+
+      try {
+        this.worker = new Worker(PASS_WORKER_URL);
+      } catch (e) {
+        this.worker = null;
+      }
+      if (this.worker) {
+        this.worker.onmessage = e => this.onMessage(runId, e.data);
+        this.worker.onerror = e => {
+          console.warn('Transit worker failed, searching on main thread:', e.message);
+          e.preventDefault();
+          if (runId !== this.runId) return;
+          this.worker.terminate();
+          this.worker = null;
+          state.transits = [];
+          this.searchInline(runId, sats, settings);
+        };
+        this.worker.postMessage({
+          runId,
+          task: 'transits',
+          observer: { ...OBSERVER },
+          settings,
+          sats: sats.map(sat => ({ id: sat.id, line1: sat.tle.line1, line2: sat.tle.line2 })),
+        });
+      } else {
+        this.searchInline(runId, sats, settings);
+      }
+    },
+
+    searchInline(runId, sats, settings) {
+      const observer = { ...OBSERVER };
+      const next = i => {
+        if (runId !== this.runId) return;
+        if (i >= sats.length) return this.onMessage(runId, { type: 'done' });
+        Orbit.findTransits(sats[i], observer, settings, transit => this.onMessage(runId, { type: 'transit', transit }), settings.from);
+        setTimeout(() => next(i + 1), 0);
+      };
+      setTimeout(() => next(0), 0);
+    },
+
+    onMessage(runId, msg) {
+      if (runId !== this.runId) return;
+      if (msg.type === 'transit') {
+        const t = msg.transit;
+        if (state.transits.some(x => x.satId === t.satId && x.body === t.body && Math.abs(x.time - t.time) < TRANSIT_SAME_MS)) return;
+        state.transits.push(t);
+        state.transits.sort((a, b) => a.time - b.time);
+        this.scheduleRebuild();
+      } else if (msg.type === 'done') {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.searching = false;
+        clearTimeout(this.rebuildTimer);
+        this.rebuildTimer = null;
+        EventListManager.rebuild();
+        const n = state.transits.filter(t => t.isTransit).length;
+        const misses = state.transits.length - n;
+        this.setStatus(`${n} transit${n === 1 ? '' : 's'}, ${misses} near miss${misses === 1 ? '' : 'es'} within ${state.transitSettings.radiusKm} km`, 'success');
+      }
+    },
+
+    // Transits stream in a few at a time — batch the list rebuilds
+    scheduleRebuild() {
+      if (this.rebuildTimer) return;
+      this.rebuildTimer = setTimeout(() => {
+        this.rebuildTimer = null;
+        EventListManager.rebuild();
+      }, 250);
+    },
+
+    cancel() {
+      this.runId++;
+      if (this.worker) this.worker.terminate();
+      this.worker = null;
+      this.searching = false;
+      clearTimeout(this.rebuildTimer);
+      this.rebuildTimer = null;
+    },
+
+    toggle() {
+      const enabled = !state.transitSettings.enabled;
+      state.transitSettings = { ...state.transitSettings, enabled };
+      localStorage.setItem('transit_settings', JSON.stringify(state.transitSettings));
+      this.renderToggle();
+      if (enabled) {
+        this.setStatus('Searching…', '');
+        this.search();
+        return;
+      }
+      this.cancel();
+      this.lastKey = '';
+      state.transits = [];
+      if (typeof GroundTrack !== 'undefined') GroundTrack.showTransit(null);
+      EventListManager.rebuild();
+      this.setStatus('Transit search is off', '');
+    },
+
+    renderToggle() {
+      const { enabled } = state.transitSettings;
+      dom.btnTransitToggle.textContent = enabled ? '🌗 Search: On' : '🌗 Search: Off';
+      dom.btnTransitToggle.classList.toggle('btn-primary', enabled);
+      dom.btnTransitToggle.classList.toggle('btn-ghost', !enabled);
+      dom.btnApplyTransit.disabled = !enabled;
+    },
+
+    setStatus(msg, cls) {
+      dom.transitStatus.textContent = msg;
+      dom.transitStatus.className = 'loc-status' + (cls ? ` ${cls}` : '');
+    },
+
+    applySettings() {
+      const radiusKm = parseFloat(dom.inputTransitRadius.value);
+      const days = parseFloat(dom.inputTransitDays.value);
+      if (isNaN(radiusKm) || radiusKm < 1 || radiusKm > 500) return this.setStatus('Radius must be 1–500 km', 'error');
+      if (isNaN(days) || days < 1 || days > 30) return this.setStatus('Window must be 1–30 days', 'error');
+
+      state.transitSettings = { ...state.transitSettings, radiusKm, days };
+      localStorage.setItem('transit_settings', JSON.stringify(state.transitSettings));
+      this.setStatus(`Searching ${days} day${days === 1 ? '' : 's'} within ${radiusKm} km…`, '');
+      this.search();
+    },
+
+    // Shows a transit's centreline on the ground track map
+    show(transit) {
+      if (typeof GroundTrack === 'undefined') return;
+      GroundTrack.showTransit(transit);
+      updateGroundTrack();
+    }
+  };
+
+  // ══════════════════════════════════════════
+  //  WEATHER CHECKER
+  // ══════════════════════════════════════════
+  const WeatherChecker = {
+    async fetch() {
+      if (!state.vcApiKey) {
+        dom.cloudCover.textContent = 'No Key';
+        dom.cloudIcon.textContent = '🔑';
+        this.updateOverallVis();
+        return;
+      }
+      try {
+        const url = `${VC_BASE}/${OBSERVER.lat},${OBSERVER.lon}/today?unitGroup=metric&include=current&key=${state.vcApiKey}&contentType=json`;
+        const r = await fetch(url);
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        const d = await r.json();
+        state.weatherCachedAt = cachedAt(r);
+        const cc = d.currentConditions?.cloudcover;
+        state.cloudCover = cc ?? null;
+
+        // Temperature and pressure feed the refraction model
+        const { temp, pressure } = d.currentConditions || {};
+        state.weather = temp != null && pressure != null ? { tempC: temp, pressureHPa: pressure } : null;
+        Orbit.setAtmosphere(atmosphere());
+        if (PassPredictor.atmosphereStale()) PassPredictor.predict();
+
+        if (cc != null) {
+          dom.cloudCover.textContent = `${cc.toFixed(0)}%${state.weatherCachedAt ? ' · cached' : ''}`;
+          dom.cloudIcon.textContent = cc < 25 ? '☀️' : cc < 60 ? '⛅' : '☁️';
+        }
+        dom.cloudCover.title = state.weatherCachedAt
+          ? `Offline — weather from ${fmtAge(Date.now() - state.weatherCachedAt)} ago` : '';
       } catch (e) {
         dom.cloudCover.textContent = '⚠️';
         dom.cloudIcon.textContent = '⚠️';
       }
       this.updateOverallVis();
+      OfflineMode.update();
     },
     updateOverallVis() {
       const result = VisibilityEngine.overall();
@@ -514,10 +1598,30 @@
       return { label: 'Poor', icon: '☁️', color: 'red', borderColor: 'rgba(255,82,82,.25)' };
     },
 
+    // 0 (dazzling) … 2 (barely naked-eye); 0.5 when the magnitude is unknown
+    magScore(mag) {
+      if (mag == null) return 0.5;
+      return mag <= -3 ? 0 : mag <= -2 ? 0.5 : mag <= -1 ? 1 : 2;
+    },
+
+    // 0 (Moon down) … 1.5 (bright Moon high up, right beside the pass).
+    // Moonlight brightens the whole sky with altitude and dazzles up close;
+    // it washes out faint satellites far more than bright ones.
+    moonScore(moon, mag) {
+      if (!moon || moon.el <= 0) return 0;
+      let score = moon.illumination * Math.sin(moon.el * RAD);
+      if (moon.separation < 10) score += moon.illumination * 0.5;
+      return mag != null && mag < -1 ? score / 2 : score;
+    },
+
     rate(pass) {
       const cc = state.cloudCover;
       const el = pass.maxEl;
+      const magScore = this.magScore(pass.peakMag);
+      const moonScore = this.moonScore(pass.moon, pass.peakMag);
       if (cc == null) {
+        if (magScore >= 2) return { label: 'Faint', color: 'red' };
+        if (magScore + moonScore >= 2) return { label: 'Moonlit', color: 'yellow' };
         if (el >= 45) return { label: 'High Pass', color: 'green' };
         if (el >= 25) return { label: 'Medium', color: 'yellow' };
         return { label: 'Low Pass', color: 'red' };
@@ -525,7 +1629,8 @@
       let score = 0;
       score += cc < 25 ? 0 : cc < 50 ? 1 : cc < 75 ? 2 : 3;
       score += el >= 45 ? 0 : el >= 25 ? 1 : 2;
-      score += 0.5;
+      score += magScore;
+      score += moonScore;
       if (score <= 1.5) return { label: 'Excellent', color: 'green' };
       if (score <= 3) return { label: 'Good', color: 'green' };
       if (score <= 4) return { label: 'Fair', color: 'yellow' };
@@ -537,26 +1642,72 @@
   //  EVENT LIST MANAGER — Unified pass+launch
   // ══════════════════════════════════════════
   const EventListManager = {
+    // Stable name for an event list entry that survives re-prediction: a
+    // pass or transit by its satellite's orbit number, a launch by its
+    // Launch Library id, e.g. 'pass-25544-44715'
+    eventId(e) {
+      if (e.type === 'pass') {
+        const sat = SatelliteCatalog.get(e.pass.satId);
+        return `pass-${sat.id}-${orbitNumber(sat, e.pass.maxElTime)}`;
+      }
+      if (e.type === 'transit') {
+        const sat = SatelliteCatalog.get(e.transit.satId);
+        return `transit-${sat.id}-${e.transit.body}-${orbitNumber(sat, e.transit.time)}`;
+      }
+      return `launch-${e.launch.id}`;
+    },
+
     rebuild() {
       const events = [];
-      const now = Date.now();
+      const now = SkyClock.nowMs();
 
       // ISS passes
-      state.passes.forEach((p, i) => {
+      state.passes.forEach(p => {
+        // Hide passes fainter than the chosen magnitude limit
+        if (state.magLimit != null && p.peakMag > state.magLimit) return;
+        const sat = SatelliteCatalog.get(p.satId);
+        if (!sat) return;
         const isLive = now >= p.riseTime.getTime() && now <= p.setTime.getTime();
         const vis = VisibilityEngine.rate(p);
-        const hint = typeof StarMap !== 'undefined' ? StarMap.getLandmarkHint(p.maxElAz, p.maxEl) : '';
+        // Landmarks where it appears, peaks and disappears (rise/set when that's in sunlight)
+        const hint = typeof StarMap !== 'undefined' ? StarMap.getLandmarkHint([
+          { verb: p.visStart.time - p.riseTime < 1000 ? 'rises' : 'appears', ...p.visStart },
+          { verb: 'peaks', ...p.visPeak },
+          { verb: p.setTime - p.visEnd.time < 1000 ? 'sets' : 'fades', ...p.visEnd },
+        ], OBSERVER.lat, OBSERVER.lon) : '';
+        // Mention the Moon when the pass goes near it, or when it's bright enough to wash out the sky
+        let moonNote = '';
+        if (p.moon && p.moon.el > 0) {
+          const icon = MOON_ICONS[p.moon.phaseIndex];
+          const lit = Math.round(p.moon.illumination * 100);
+          const near = moonHint(p.moon);
+          if (near) moonNote = `${icon} Passes ${near} (${lit}% lit)`;
+          else if (p.moon.illumination > 0.5) moonNote = `${icon} ${lit}% Moon up, ${p.moon.el.toFixed(0)}° ${bearingToCardinal(p.moon.az)}`;
+        }
+        let shadowNote = '';
+        if (p.shadowExit) {
+          shadowNote = `☀️ Emerges from Earth's shadow ${fmtTime(p.shadowExit.time)} · ${bearingToCardinal(p.shadowExit.az)} ${p.shadowExit.el.toFixed(0)}°`;
+        }
+        if (p.shadowEntry) {
+          shadowNote += `${shadowNote ? '  ' : ''}🌑 Fades into shadow ${fmtTime(p.shadowEntry.time)} · ${bearingToCardinal(p.shadowEntry.az)} ${p.shadowEntry.el.toFixed(0)}°`;
+        }
+        if (p.obstructed) {
+          const clear = p.visSegments.map(seg => `${fmtTime(seg.start.time)}–${fmtTime(seg.end.time)}`).join(', ');
+          shadowNote += `${shadowNote ? '  ' : ''}🌳 Clear of obstructions ${clear}`;
+        }
         events.push({
           type: 'pass',
           sortTime: p.riseTime.getTime(),
           isLive,
-          passIndex: i,
           pass: p,
-          title: isLive ? '🛰️ ISS Pass — LIVE NOW' : '🛰️ ISS Pass',
+          title: isLive ? `🛰️ ${sat.name} Pass — LIVE NOW` : `🛰️ ${sat.name} Pass`,
+          color: sat.color,
           subtitle: `${fmtDate(p.riseTime)}  ${fmtTime(p.riseTime)} → ${fmtTime(p.setTime)}`,
-          hint: hint ? `✨ ${hint}` : '',
+          hint: [hint && `✨ ${hint}`, moonNote].filter(Boolean).join('  '),
+          shadowNote,
           stats: [
             { val: `${p.maxEl.toFixed(1)}°`, lbl: 'Max El' },
+            { val: fmtMag(p.peakMag), lbl: 'Mag' },
             { val: `${Math.round(p.duration)}s`, lbl: 'Duration' },
             { val: `${p.riseAz.toFixed(0)}°→${p.setAz.toFixed(0)}°`, lbl: 'Az Arc' },
           ],
@@ -566,6 +1717,36 @@
         });
       });
 
+      // Sun/Moon transits — the time to be on the centreline, and how far away it is
+      state.transits.forEach(t => {
+        const sat = SatelliteCatalog.get(t.satId);
+        if (!sat) return;
+        const drive = haversine(OBSERVER.lat, OBSERVER.lon, t.closest.lat, t.closest.lon);
+        const where = drive < 1
+          ? 'passes right over you'
+          : `${drive.toFixed(0)} km ${bearingToCardinal(t.closest.bearing)} at ${t.closest.lat.toFixed(4)}°, ${t.closest.lon.toFixed(4)}°`;
+        events.push({
+          type: 'transit',
+          sortTime: t.time.getTime(),
+          isLive: Math.abs(t.time.getTime() - now) < 60 * 1000,
+          transit: t,
+          title: `${t.body === 'sun' ? '🌞' : '🌙'} ${sat.name} ${t.body === 'sun' ? 'Solar' : 'Lunar'} ${t.isTransit ? 'Transit' : 'Near Miss'}`,
+          color: sat.color,
+          subtitle: `${fmtDate(t.time)}  ${fmtTime(t.time)}  •  ${t.body === 'sun' ? 'Sun' : 'Moon'} ${bearingToCardinal(t.bodyAz)} ${t.bodyEl.toFixed(0)}°`,
+          hint: `📍 Centreline ${where} · ${fmtTime(t.closest.time)}`,
+          shadowNote: t.body === 'sun' ? '⚠️ Only observe the Sun through a certified solar filter' : '',
+          stats: [
+            { val: t.separation < 1 ? `${(t.separation * 60).toFixed(1)}′` : `${t.separation.toFixed(1)}°`, lbl: 'Separation' },
+            { val: t.duration ? `${t.duration.toFixed(1)}s` : '—', lbl: 'Duration' },
+            { val: `${drive.toFixed(0)} km`, lbl: 'Drive' },
+            { val: `${t.bodyEl.toFixed(0)}°`, lbl: 'Alt' },
+          ],
+          visLabel: t.isTransit ? 'Transit' : 'Near miss',
+          visColor: t.isTransit ? 'green' : 'yellow',
+          maxEl: t.bodyEl,
+        });
+      });
+
       // SpaceX launches (only twilight/night)
       if (typeof LaunchTracker !== 'undefined') {
         const launches = LaunchTracker.getLaunches();
@@ -594,6 +1775,8 @@
         });
       }
 
+      Reminders.sync(events);
+
       // Sort
       if (state.sortMode === 'elevation') {
         events.sort((a, b) => b.maxEl - a.maxEl);
@@ -604,7 +1787,11 @@
       // Filter
       const filtered = events.filter(e => {
         if (state.activeFilter === 'pass') return e.type === 'pass';
+        if (state.activeFilter.startsWith('sat:')) {
+          return e.type === 'pass' && e.pass.satId === parseInt(state.activeFilter.slice(4), 10);
+        }
         if (state.activeFilter === 'launch') return e.type === 'launch';
+        if (state.activeFilter === 'transit') return e.type === 'transit';
         return true;
       });
 
@@ -613,54 +1800,90 @@
     },
 
     render(events) {
+      if (events.length === 0 && state.predicting) {
+        dom.eventList.innerHTML = `<div class="pass-loading glass-card"><div class="spinner"></div><span>Predicting passes…</span></div>`;
+        return;
+      }
       if (events.length === 0) {
         dom.eventList.innerHTML = `<div class="pass-loading glass-card"><span>No upcoming events found</span></div>`;
         return;
       }
 
       dom.eventList.innerHTML = events.map((e, i) => {
-        const icon = e.type === 'pass' ? '🛰️' : '🚀';
-        const liveClass = e.isLive ? ' card-live' : '';
-        const dataAttr = e.type === 'pass'
-          ? `data-type="pass" data-index="${e.passIndex}"`
-          : `data-type="launch" data-index="${e.launchIndex}"`;
+        const icon = { pass: '🛰️', transit: e.transit && e.transit.body === 'sun' ? '🌞' : '🌙', launch: '🚀' }[e.type];
+        const liveClass = (e.isLive ? ' card-live' : '') + (e.type === 'pass' && e.pass === PassReplay.pass ? ' card-simulating' : '');
+        const dataAttr = `data-type="${e.type}" data-event="${i}"`;
 
         return `
-          <div class="event-card glass-card${liveClass}" ${dataAttr}>
+          <div class="event-card glass-card${liveClass}" ${dataAttr}${e.color ? ` style="border-left: 3px solid ${e.color}"` : ''}>
             <div class="event-type-icon">${icon}</div>
             <div class="event-body">
-              <span class="event-title">${e.title}</span>
-              <span class="event-time">${e.subtitle}</span>
-              ${e.hint ? `<span class="event-hint">${e.hint}</span>` : ''}
+              <span class="event-title">${escapeHtml(e.title)}</span>
+              <span class="event-time">${escapeHtml(e.subtitle)}</span>
+              ${e.hint ? `<span class="event-hint">${escapeHtml(e.hint)}</span>` : ''}
+              ${e.shadowNote ? `<span class="event-shadow">${e.shadowNote}</span>` : ''}
             </div>
             <div class="event-meta">
               ${e.stats.map(s => `
                 <div class="event-stat">
-                  <span class="event-stat-val">${s.val}</span>
+                  <span class="event-stat-val">${escapeHtml(s.val)}</span>
                   <span class="event-stat-lbl">${s.lbl}</span>
                 </div>
               `).join('')}
-              <span class="event-vis-badge vis-${e.visColor}">${e.visLabel}</span>
+              <span class="event-vis-badge vis-${e.visColor}">${escapeHtml(e.visLabel)}</span>
               <span class="event-live-badge">● LIVE</span>
+              ${Reminders.canRemind(e) ? `<button class="event-action event-remind${Reminders.isOn(e) ? ' on' : ''}" data-event="${i}" title="Remind me">${Reminders.isOn(e) ? '🔔' : '🔕'}</button>` : ''}
+              ${e.type !== 'launch' || e.launch.net ? `<button class="event-action event-ics" data-event="${i}" title="Add to calendar">📅</button>` : ''}
+              ${e.type !== 'launch' || e.launch.net ? `<button class="event-action event-jump" data-event="${i}" title="Show the sky at this time">⏩</button>` : ''}
+              ${e.type === 'pass' && typeof SkyChart !== 'undefined' ? `<button class="event-action event-chart" data-event="${i}" title="Export chart">🗺️</button>` : ''}
             </div>
           </div>`;
       }).join('');
 
+      dom.eventList.querySelectorAll('.event-remind').forEach(btn => {
+        btn.addEventListener('click', ev => {
+          ev.stopPropagation();
+          Reminders.toggle(events[parseInt(btn.dataset.event)]);
+        });
+      });
+      dom.eventList.querySelectorAll('.event-ics').forEach(btn => {
+        btn.addEventListener('click', ev => {
+          ev.stopPropagation();
+          CalendarExport.exportEvent(events[parseInt(btn.dataset.event)]);
+        });
+      });
+      dom.eventList.querySelectorAll('.event-chart').forEach(btn => {
+        btn.addEventListener('click', ev => {
+          ev.stopPropagation();
+          ChartExport.open(events[parseInt(btn.dataset.event)]);
+        });
+      });
+      dom.eventList.querySelectorAll('.event-jump').forEach(btn => {
+        btn.addEventListener('click', ev => {
+          ev.stopPropagation();
+          TimeControl.jumpTo(events[parseInt(btn.dataset.event)]);
+        });
+      });
+
       // Attach click handlers
       dom.eventList.querySelectorAll('.event-card').forEach(card => {
         card.addEventListener('click', () => {
-          const type = card.dataset.type;
-          const idx = parseInt(card.dataset.index);
+          // The event itself, not an index — passes and transits stream in
+          // and re-sort between list rebuilds
+          const e = events[parseInt(card.dataset.event)];
+          const type = e.type;
+          const idx = e.launchIndex;
 
           // Clear all active states
           dom.eventList.querySelectorAll('.event-card').forEach(c => c.classList.remove('card-simulating'));
+          state.selectedEventId = this.eventId(e);
 
           if (type === 'pass') {
-            const pass = state.passes[idx];
-            if (!pass) return;
-            card.classList.add('card-simulating');
             switchView('radar');
-            RadarBeep.startSimulation(pass);
+            PassReplay.start(e.pass);
+          } else if (type === 'transit') {
+            setFilter('transit');
+            TransitFinder.show(e.transit);
           } else if (type === 'launch') {
             card.classList.add('card-simulating');
             switchView('panorama');
@@ -675,26 +1898,28 @@
           }
         });
       });
+
+      if (DeepLink.pendingEvent) DeepLink.openPending(events);
     },
 
     // Called every 5s to detect live passes and auto-draw them
     checkLive() {
-      const now = Date.now();
+      const now = SkyClock.nowMs();
       let foundLive = false;
 
       state.passes.forEach((p, i) => {
         if (now >= p.riseTime.getTime() && now <= p.setTime.getTime()) {
           foundLive = true;
-          if (state.livePassIndex !== i) {
+          if (state.livePassIndex !== i && !state.simulating) {
             state.livePassIndex = i;
-            // Auto-draw the live pass trajectory in green
+            // Auto-draw the live pass trajectory in green (a replay keeps its own)
             RadarBlip.drawPredictedArc(p, COLOR_LIVE);
             dom.issBlip.classList.add('blip-live');
           }
         }
       });
 
-      if (!foundLive && state.livePassIndex !== -1) {
+      if (!foundLive && state.livePassIndex !== -1 && !state.simulating) {
         state.livePassIndex = -1;
         RadarBlip.clearPredictedArc();
         dom.issBlip.classList.remove('blip-live');
@@ -702,17 +1927,18 @@
 
       // Update live classes on cards
       dom.eventList.querySelectorAll('.event-card').forEach(card => {
-        const type = card.dataset.type;
-        const idx = parseInt(card.dataset.index);
-        if (type === 'pass') {
-          const p = state.passes[idx];
-          if (p && now >= p.riseTime.getTime() && now <= p.setTime.getTime()) {
+        const e = state.sortedEvents[parseInt(card.dataset.event)];
+        if (e && e.type === 'pass') {
+          const p = e.pass;
+          if (now >= p.riseTime.getTime() && now <= p.setTime.getTime()) {
             card.classList.add('card-live');
           } else {
             card.classList.remove('card-live');
           }
         }
       });
+
+      VoiceGuide.check();
     }
   };
 
@@ -725,6 +1951,12 @@
     dragStartX: 0,
     dragBaseHeading: 0,
     isDragging: false,
+    magnetic: null,     // smoothed magnetic heading, deg
+    meanX: 0,           // running mean of the heading as a unit vector
+    meanY: 0,
+    declKey: '',
+    decl: 0,
+    calTargets: [],
 
     init() {
       if (window.DeviceOrientationEvent) {
@@ -754,24 +1986,128 @@
         radarRing.addEventListener('mousedown', e => this.onDragStart(e.clientX));
         radarRing.addEventListener('touchstart', e => this.onDragStart(e.touches[0].clientX));
       }
+
+      dom.btnCompassCal.addEventListener('click', () => this.openCal());
+      dom.btnCalCancel.addEventListener('click', () => this.closeCal());
+      dom.btnCalAligned.addEventListener('click', () => this.calibrate());
+      dom.btnCalReset.addEventListener('click', () => this.setOffset(0));
+      dom.compassCalTarget.addEventListener('change', () => this.renderCal());
     },
 
     bindOrientation() {
       const handler = e => {
-        const heading = e.webkitCompassHeading ?? (360 - e.alpha);
-        if (heading == null || isNaN(heading)) return;
+        // Both are magnetic: iOS's compass heading, or alpha from an absolute event
+        const raw = e.webkitCompassHeading ?? (e.alpha == null ? null : 360 - e.alpha);
+        if (raw == null || isNaN(raw)) return;
 
         this.hasOrientation = true;
-        if (this.compassLocked) {
-          state.heading = heading;
-          dom.userHeading.textContent = `${heading.toFixed(0)}°`;
-          this.update();
-        }
+        this.magnetic = this.smooth(raw);
+        if (this.compassLocked) this.setHeading(this.toTrue(this.magnetic));
+        if (!dom.compassCalBar.classList.contains('hidden')) this.renderCal();
       };
 
-      if (window.DeviceOrientationEvent) {
-        window.addEventListener('deviceorientation', handler);
+      // Chrome's plain deviceorientation alpha is relative to wherever it started
+      const absolute = 'ondeviceorientationabsolute' in window;
+      window.addEventListener(absolute ? 'deviceorientationabsolute' : 'deviceorientation', handler);
+    },
+
+    setHeading(heading) {
+      state.heading = heading;
+      dom.userHeading.textContent = `${heading.toFixed(0)}°`;
+      this.update();
+    },
+
+    // Running mean of the samples as unit vectors — averaging the angles
+    // themselves would swing through south at the 359° → 0° wrap
+    smooth(deg) {
+      const k = this.magnetic === null ? 1 : HEADING_SMOOTHING;
+      this.meanX += k * (Math.cos(deg * RAD) - this.meanX);
+      this.meanY += k * (Math.sin(deg * RAD) - this.meanY);
+      return (Math.atan2(this.meanY, this.meanX) * DEG + 360) % 360;
+    },
+
+    // Magnetic declination at the observer, east positive (WMM, see geomag.js)
+    declination() {
+      if (typeof Geomag === 'undefined') return 0;
+      const key = `${OBSERVER.lat.toFixed(2)},${OBSERVER.lon.toFixed(2)}`;
+      if (key !== this.declKey) {
+        this.declKey = key;
+        this.decl = Geomag.declination(OBSERVER.lat, OBSERVER.lon, OBSERVER.alt, new Date());
+      }
+      return this.decl;
+    },
+
+    // Magnetic heading → true, with the user's sighting correction on top
+    toTrue(magnetic) {
+      return (magnetic + this.declination() + state.compassOffset + 720) % 360;
+    },
+
+    // ── Calibration: sight the Sun, Moon, a planet or a bright star along
+    // the top edge of the phone and take up whatever error is left ──
+
+    // What's up to sight on now — the real sky, whatever the sky clock shows
+    findCalTargets() {
+      const now = new Date();
+      const targets = [];
+      const sun = Orbit.sunPosition(now, OBSERVER);
+      if (sun.el > COMPASS_CAL_MIN_EL) targets.push({ name: 'Sun', az: sun.az, el: sun.el });
+      const moon = Orbit.moonPosition(now, OBSERVER);
+      if (moon.el > COMPASS_CAL_MIN_EL) targets.push({ name: 'Moon', az: moon.az, el: moon.el });
+      // Stars only once the Sun is well down
+      if (typeof StarMap !== 'undefined' && sun.el < -6) {
+        const up = (name, ra, dec) => {
+          const pos = StarMap.raDecToAzEl(ra, dec, now, OBSERVER.lat, OBSERVER.lon);
+          if (pos.el > COMPASS_CAL_MIN_EL) targets.push({ name, az: pos.az, el: pos.el });
+        };
+        StarMap.planetPositions(now).filter(p => p.mag <= 1).forEach(p => up(p.name, p.ra, p.dec));
+        StarMap.STARS.filter(st => st.mag <= 1.5).forEach(st => up(st.name, st.ra, st.dec));
+      }
+      return targets;
+    },
+
+    openCal() {
+      this.calTargets = this.findCalTargets();
+      dom.compassCalTarget.innerHTML = this.calTargets.length
+        ? this.calTargets.map((t, i) => `<option value="${i}">${t.name} · ${bearingToCardinal(t.az)} ${t.el.toFixed(0)}° up</option>`).join('')
+        : '<option value="">Nothing bright enough is up</option>';
+      dom.btnCalAligned.disabled = !this.calTargets.length;
+      dom.compassCalBar.classList.remove('hidden');
+      this.renderCal();
+    },
+
+    closeCal() {
+      dom.compassCalBar.classList.add('hidden');
+    },
+
+    renderCal() {
+      const decl = this.declination();
+      const info = `Declination ${Math.abs(decl).toFixed(1)}° ${decl >= 0 ? 'E' : 'W'} · sighting correction ${state.compassOffset >= 0 ? '+' : ''}${state.compassOffset.toFixed(1)}°`;
+      const target = this.calTargets[dom.compassCalTarget.value];
+      if (!target || this.magnetic === null) {
+        dom.compassCalReadout.textContent = info;
+        return;
       }
+      const heading = this.toTrue(this.magnetic);
+      const diff = ((target.az - heading + 540) % 360) - 180;
+      dom.compassCalReadout.textContent = `${target.name} ${target.az.toFixed(0)}° · phone ${heading.toFixed(0)}° (${diff >= 0 ? '+' : ''}${diff.toFixed(0)}°)\n${info}`;
+    },
+
+    // The phone is pointing at the target: whatever it reads on top of
+    // the declination is the correction
+    calibrate() {
+      const target = this.calTargets[dom.compassCalTarget.value];
+      if (!target || this.magnetic === null) return;
+      const offset = ((target.az - this.magnetic - this.declination() + 540) % 360) - 180;
+      this.setOffset(offset);
+      this.closeCal();
+    },
+
+    setOffset(offset) {
+      state.compassOffset = offset;
+      if (offset) localStorage.setItem('compass_offset', offset.toFixed(2));
+      else localStorage.removeItem('compass_offset');
+      if (this.magnetic !== null && this.compassLocked) this.setHeading(this.toTrue(this.magnetic));
+      this.renderCal();
     },
 
     onDragStart(x) {
@@ -786,10 +2122,16 @@
       this.update();
     },
 
-    update() {
+    // Just the arrow and the blip — cheap enough for every animation frame
+    point() {
       const relAz = (state.issAz - state.heading + 360) % 360;
       const el = Math.max(-90, Math.min(90, state.issEl));
       dom.arrow3d.style.transform = `rotateY(${relAz}deg) rotateX(${-el}deg)`;
+      RadarBlip.update(state.issAz, state.issEl);
+    },
+
+    update() {
+      this.point();
 
       // Rotate the radar-rotator wrapper when compass is available AND active
       if (this.hasOrientation && this.compassLocked) {
@@ -799,6 +2141,7 @@
 
       // Create or update compass badge
       if (this.hasOrientation) {
+        dom.btnCompassCal.classList.remove('hidden');
         let badge = document.getElementById('compass-badge');
         if (!badge) {
           badge = document.createElement('div');
@@ -824,16 +2167,15 @@
         }
       }
 
-      RadarBlip.update(state.issAz, state.issEl);
-
       // Re-draw arc to follow rotation
       if (RadarBlip.activePass) {
         RadarBlip.drawPredictedArc(RadarBlip.activePass, RadarBlip.activeColor);
       }
+      if (HorizonMask.editing) HorizonMask.drawEditLayer();
 
       if (typeof StarMap !== 'undefined') {
         const mapHeading = (this.hasOrientation && this.compassLocked) ? 0 : state.heading;
-        StarMap.render(new Date(), OBSERVER.lat, OBSERVER.lon, mapHeading);
+        StarMap.render(SkyClock.now(), OBSERVER.lat, OBSERVER.lon, mapHeading);
       }
 
       updateLaunchDirection();
@@ -887,31 +2229,84 @@
       this.arcLayer.setAttribute('viewBox', '0 0 340 340');
       ring.appendChild(this.arcLayer);
 
-      const R = 160;
-      const ctr = 170;
-      const pts = pass.points.map(p => {
-        const useAz = (CompassArrow.hasOrientation && CompassArrow.compassLocked) ? p.az : ((p.az - state.heading + 360) % 360);
-        const r = R * (1 - Math.max(0, p.el) / 90);
-        const theta = (useAz - 90) * RAD;
-        return {
-          x: ctr + r * Math.cos(theta),
-          y: ctr + r * Math.sin(theta)
-        };
-      });
+      const toXY = p => this.toXY(p);
+      const pts = pass.points.map(toXY);
 
-      let d = `M ${pts[0].x.toFixed(1)} ${pts[0].y.toFixed(1)}`;
-      for (let i = 1; i < pts.length; i++) {
-        d += ` L ${pts[i].x.toFixed(1)} ${pts[i].y.toFixed(1)}`;
+      // Obstructed sector of the local horizon
+      if (HorizonMask.mask) {
+        const mask = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        mask.setAttribute('d', this.maskPath());
+        mask.setAttribute('fill-rule', 'evenodd');
+        mask.setAttribute('class', 'horizon-mask');
+        this.arcLayer.appendChild(mask);
       }
-      const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-      path.setAttribute('d', d);
-      path.setAttribute('fill', 'none');
-      path.setAttribute('stroke', color);
-      path.setAttribute('stroke-width', '2.5');
-      path.setAttribute('stroke-dasharray', color === COLOR_LIVE ? 'none' : '6,4');
-      path.setAttribute('opacity', color === COLOR_LIVE ? '0.7' : '0.4');
-      path.setAttribute('stroke-linecap', 'round');
-      this.arcLayer.appendChild(path);
+
+      // Split the track into runs of equal illumination so the part of the
+      // pass spent in Earth's shadow is drawn dim and dotted, and the part
+      // hidden behind the horizon mask is faded right back.
+      const runs = [];
+      pass.points.forEach((p, i) => {
+        const shade = p.shadow || 'sunlit';
+        const obstructed = !!p.obstructed;
+        const last = runs[runs.length - 1];
+        if (last && last.shade === shade && last.obstructed === obstructed) {
+          last.pts.push(pts[i]);
+        } else {
+          runs.push({ shade, obstructed, pts: last ? [last.pts[last.pts.length - 1], pts[i]] : [pts[i]] });
+        }
+      });
+
+      runs.forEach(run => {
+        if (run.pts.length < 2) return;
+        let d = `M ${run.pts[0].x.toFixed(1)} ${run.pts[0].y.toFixed(1)}`;
+        for (let i = 1; i < run.pts.length; i++) {
+          d += ` L ${run.pts[i].x.toFixed(1)} ${run.pts[i].y.toFixed(1)}`;
+        }
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('d', d);
+        path.setAttribute('fill', 'none');
+        path.setAttribute('stroke-width', '2.5');
+        path.setAttribute('stroke-linecap', 'round');
+        if (run.shade === 'umbra') {
+          path.setAttribute('stroke', COLOR_SHADOW);
+          path.setAttribute('stroke-dasharray', '1,5');
+          path.setAttribute('opacity', '0.5');
+        } else {
+          const base = color === COLOR_LIVE ? 0.7 : 0.4;
+          path.setAttribute('stroke', color);
+          path.setAttribute('stroke-dasharray', color === COLOR_LIVE ? 'none' : '6,4');
+          path.setAttribute('opacity', run.shade === 'penumbra' ? base * 0.5 : base);
+        }
+        if (run.obstructed) {
+          path.setAttribute('stroke-dasharray', '2,4');
+          path.setAttribute('opacity', parseFloat(path.getAttribute('opacity')) * 0.4);
+        }
+        this.arcLayer.appendChild(path);
+      });
+
+      // Shadow entry / exit markers
+      [[pass.shadowEntry, 'FADE'], [pass.shadowExit, 'APPEAR']].forEach(([edge, text]) => {
+        if (!edge) return;
+        const pt = toXY(edge);
+        const c = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        c.setAttribute('cx', pt.x);
+        c.setAttribute('cy', pt.y);
+        c.setAttribute('r', '3.5');
+        c.setAttribute('fill', COLOR_SHADOW);
+        c.setAttribute('stroke', color);
+        c.setAttribute('stroke-width', '1.2');
+        this.arcLayer.appendChild(c);
+
+        const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        label.setAttribute('x', pt.x + 7);
+        label.setAttribute('y', pt.y + 3);
+        label.setAttribute('fill', color);
+        label.setAttribute('font-size', '7');
+        label.setAttribute('font-family', "'Outfit',sans-serif");
+        label.setAttribute('opacity', '0.8');
+        label.textContent = `${text} ${fmtTime(edge.time).slice(0, 5)}`;
+        this.arcLayer.appendChild(label);
+      });
 
       // Start/end markers
       [pts[0], pts[pts.length - 1]].forEach((pt, idx) => {
@@ -938,6 +2333,30 @@
       });
     },
 
+    // Radar x/y (340 system) for an az/el point, following the heading
+    toXY(p) {
+      const useAz = (CompassArrow.hasOrientation && CompassArrow.compassLocked) ? p.az : ((p.az - state.heading + 360) % 360);
+      const r = 160 * (1 - Math.max(0, p.el) / 90);
+      const theta = (useAz - 90) * RAD;
+      return {
+        x: 170 + r * Math.cos(theta),
+        y: 170 + r * Math.sin(theta)
+      };
+    },
+
+    // Ring between the horizon and the mask outline (draw with evenodd fill)
+    maskPath() {
+      let outer = '';
+      let inner = '';
+      for (let az = 0; az < 360; az += 2.5) {
+        const o = this.toXY({ az, el: 0 });
+        const i = this.toXY({ az, el: HorizonMask.elevationAt(az) });
+        outer += `${az ? 'L' : 'M'}${o.x.toFixed(1)},${o.y.toFixed(1)}`;
+        inner += `${az ? 'L' : 'M'}${i.x.toFixed(1)},${i.y.toFixed(1)}`;
+      }
+      return `${outer}Z${inner}Z`;
+    },
+
     clearPredictedArc() {
       this.activePass = null;
       if (this.arcLayer) {
@@ -1019,13 +2438,13 @@
 
       const tick = () => {
         if (!state.beeping) return;
-        const now = Date.now();
+        const now = SkyClock.nowMs();
         const tFromPeak = (now - tPeak) / 1000;
         const g = this.gaussian(tFromPeak, 0, sigma);
         const freq = 1200 + 600 * g;
         const vol = 0.04 + 0.46 * g;
         const interval = 2500 - 2000 * g;
-        this.beep(freq, vol);
+        if (!SkyClock.paused()) this.beep(freq, vol);
         if (now < tSet) {
           this.beepTimer = setTimeout(tick, interval);
         } else {
@@ -1035,102 +2454,6 @@
       tick();
     },
 
-    startSimulation(pass) {
-      if (state.simulating) return;
-      state.simulating = true;
-      state.beeping = true;
-      dom.btnBeep.textContent = '🔇 Stop Radar Beep';
-      dom.btnSimulate.textContent = '⚡ Simulating…';
-      dom.btnSimulate.disabled = true;
-
-      dom.issBlip.classList.add('blip-simulating');
-
-      const simDuration = pass ? Math.min(pass.duration / 4, 20) : 15;
-      const tStart = Date.now();
-      const tPeak = tStart + (simDuration / 2) * 1000;
-      const sigma = simDuration / 4;
-
-      const hasPassPts = pass && pass.points && pass.points.length >= 2;
-
-      if (hasPassPts) {
-        RadarBlip.drawPredictedArc(pass, COLOR_SIM);
-      }
-
-      let startAz, azSweep;
-      if (!hasPassPts) {
-        startAz = Math.random() * 360;
-        azSweep = 120 + Math.random() * 60;
-      }
-
-      const interpolatePass = (progress) => {
-        if (!hasPassPts) {
-          const az = (startAz + azSweep * progress) % 360;
-          const el = 10 + 70 * (1 - (2 * progress - 1) ** 2);
-          return { az, el };
-        }
-        const pts = pass.points;
-        const idx = progress * (pts.length - 1);
-        const i = Math.min(Math.floor(idx), pts.length - 2);
-        const frac = idx - i;
-        return {
-          az: pts[i].az + (pts[i + 1].az - pts[i].az) * frac,
-          el: pts[i].el + (pts[i + 1].el - pts[i].el) * frac
-        };
-      };
-
-      const animFrame = () => {
-        if (!state.simulating) return;
-        const now = Date.now();
-        const progress = Math.min((now - tStart) / (simDuration * 1000), 1);
-
-        if (progress >= 1) {
-          this.endSim();
-          return;
-        }
-
-        const pos = interpolatePass(progress);
-        state.issAz = pos.az;
-        state.issEl = pos.el;
-        dom.issAzEl.textContent = `${pos.az.toFixed(1)}°`;
-        dom.issElEl.textContent = `${pos.el.toFixed(1)}°`;
-        dom.arrowAz.textContent = `${pos.az.toFixed(1)}°`;
-        dom.arrowEl.textContent = `${pos.el.toFixed(1)}°`;
-        CompassArrow.update();
-        RadarBlip.update(pos.az, pos.el);
-
-        this.simRaf = requestAnimationFrame(animFrame);
-      };
-      this.simRaf = requestAnimationFrame(animFrame);
-
-      const beepTick = () => {
-        if (!state.beeping || !state.simulating) return;
-        const now = Date.now();
-        const progress = (now - tStart) / (simDuration * 1000);
-        if (progress > 1) return;
-
-        const tFromPeak = (now - tPeak) / 1000;
-        const g = this.gaussian(tFromPeak, 0, sigma);
-        const freq = 1200 + 600 * g;
-        const vol = 0.04 + 0.46 * g;
-        const interval = 2500 - 2000 * g;
-        this.beep(freq, vol);
-        this.beepTimer = setTimeout(beepTick, Math.max(100, interval));
-      };
-      beepTick();
-    },
-
-    endSim() {
-      state.simulating = false;
-      cancelAnimationFrame(this.simRaf);
-      this.stop();
-      dom.btnSimulate.textContent = '⚡ Simulate Pass';
-      dom.btnSimulate.disabled = false;
-      dom.issBlip.classList.remove('blip-simulating');
-      RadarBlip.clearPredictedArc();
-      // Remove simulating highlight from cards
-      dom.eventList.querySelectorAll('.event-card').forEach(c => c.classList.remove('card-simulating'));
-    },
-
     stop() {
       state.beeping = false;
       clearTimeout(this.beepTimer);
@@ -1140,12 +2463,12 @@
     toggle() {
       if (state.beeping) {
         if (state.simulating) {
-          this.endSim();
+          PassReplay.stop();
         } else {
           this.stop();
         }
       } else {
-        const now = Date.now();
+        const now = SkyClock.nowMs();
         const activePass = state.passes.find(p =>
           now >= p.riseTime.getTime() && now <= p.setTime.getTime()
         );
@@ -1170,89 +2493,1577 @@
   };
 
   // ══════════════════════════════════════════
-  //  APP ORCHESTRATOR
+  //  PASS REPLAY — rehearse a pass on the sky clock
   // ══════════════════════════════════════════
-  const App = {
-    init() {
-      if (!state.vcApiKey) {
-        dom.modal.classList.remove('hidden');
-      } else {
-        this.launch();
+  const PassReplay = {
+    pass: null,
+    sat: null,
+    speed: REPLAY_DEFAULT_SPEED,
+    resume: null,    // the sky clock before the replay: { live, ms, rate }
+    raf: null,
+    seeking: false,
+    drawnAt: -Infinity,    // sky time and heading the star map was last drawn for
+    drawnHeading: null,
+
+    // The next pass still to come on the sky clock, within the magnitude limit
+    nextPass() {
+      const now = SkyClock.nowMs();
+      return state.passes.find(p =>
+        p.setTime.getTime() > now && (state.magLimit == null || p.peakMag <= state.magLimit)
+      );
+    },
+
+    // Replays a pass from its rise by running the sky clock over it, so the
+    // star map, Moon, beep and compass arrow all move with the replay
+    start(pass = this.nextPass()) {
+      if (!pass) {
+        dom.skyHint.textContent = 'No predicted pass to replay';
+        return;
       }
+      const sat = SatelliteCatalog.get(pass.satId);
+      if (!sat || !sat.satrec) return;
+      if (!this.pass) this.resume = { live: SkyClock.isLive(), ms: SkyClock.nowMs(), rate: SkyClock.rate() };
+      this.pass = pass;
+      this.sat = sat;
+      state.simulating = true;
+      dom.issBlip.classList.add('blip-simulating');
+      dom.btnSimulate.textContent = '⏹ End Replay';
+      dom.replayTitle.textContent = `${sat.name} · ${fmtDate(pass.riseTime)} ${fmtTime(pass.riseTime)}`;
+      dom.replaySlider.max = Math.round(pass.duration);
+      dom.replayBar.classList.remove('hidden');
+      RadarBlip.drawPredictedArc(pass, COLOR_SIM);
+      this.renderSpeeds();
+
+      SkyClock.set(pass.riseTime, this.speed);
+      RadarBeep.startForPass(pass);
+      this.drawnAt = -Infinity;
+      cancelAnimationFrame(this.raf);
+      this.raf = requestAnimationFrame(() => this.frame());
+    },
 
-      // Modal events
-      dom.btnSave.addEventListener('click', () => {
-        const key = dom.keyInput.value.trim();
-        if (key) {
-          state.vcApiKey = key;
-          localStorage.setItem('vc_api_key', key);
+    // Puts the blip, arrow and readout where the satellite is on the sky clock
+    frame() {
+      if (!this.pass) return;
+      const tRise = this.pass.riseTime.getTime();
+      const tSet = this.pass.setTime.getTime();
+      let t = SkyClock.nowMs();
+      if (t >= tSet && !SkyClock.paused()) {
+        SkyClock.set(tSet, 0); // hold at the end so it can be scrubbed back
+        t = tSet;
+      }
+
+      const la = PassPredictor.lookAngles(new Date(t), this.sat);
+      if (la) {
+        state.issAz = la.az;
+        state.issEl = la.el;
+        dom.issAzEl.textContent = `${la.az.toFixed(1)}°`;
+        dom.issElEl.textContent = `${la.el.toFixed(1)}°`;
+        dom.arrowAz.textContent = `${la.az.toFixed(1)}°`;
+        dom.arrowEl.textContent = `${la.el.toFixed(1)}°`;
+        // Redrawing the star map and arc every frame is wasted work — they
+        // only change with a real step of sky time or a new heading
+        if (Math.abs(t - this.drawnAt) >= REPLAY_REDRAW_MS || state.heading !== this.drawnHeading) {
+          this.drawnAt = t;
+          this.drawnHeading = state.heading;
+          CompassArrow.update();
+        } else {
+          CompassArrow.point();
         }
-        dom.modal.classList.add('hidden');
-        this.launch();
-      });
-      dom.btnSkip.addEventListener('click', () => {
-        dom.modal.classList.add('hidden');
-        this.launch();
-      });
+      }
 
-      // Location buttons
-      dom.btnDetect.addEventListener('click', () => LocationManager.autoDetect());
-      dom.btnSetLoc.addEventListener('click', () => LocationManager.setManual());
-      dom.btnSetZip.addEventListener('click', () => LocationManager.setFromZip());
-      dom.inputZip.addEventListener('keydown', e => { if (e.key === 'Enter') LocationManager.setFromZip(); });
+      const elapsed = Math.max(0, Math.round((t - tRise) / 1000));
+      const mmss = s => `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+      if (!this.seeking) dom.replaySlider.value = elapsed;
+      dom.replayReadout.textContent = [
+        fmtTime(new Date(t)),
+        `${mmss(elapsed)} / ${mmss(Math.round(this.pass.duration))}`,
+        la && `Az ${la.az.toFixed(1)}° El ${la.el.toFixed(1)}°`,
+        la && `${fmtNum(la.range, 0)} km`,
+        la && (la.shadow === 'umbra' ? 'in shadow' : `mag ${fmtMag(la.mag)}`),
+      ].filter(Boolean).join(' · ');
+      dom.btnReplayPlay.textContent = SkyClock.paused() ? '▶' : '⏸';
+      dom.btnReplayPlay.title = SkyClock.paused() ? 'Play' : 'Pause';
+
+      this.raf = requestAnimationFrame(() => this.frame());
+    },
 
-      // Beep / Simulate buttons
-      dom.btnBeep.addEventListener('click', () => RadarBeep.toggle());
-      dom.btnSimulate.addEventListener('click', () => RadarBeep.startSimulation());
+    togglePlay() {
+      if (!this.pass) return;
+      if (!SkyClock.paused()) return SkyClock.pause();
+      if (SkyClock.nowMs() >= this.pass.setTime.getTime()) SkyClock.set(this.pass.riseTime, this.speed);
+      else SkyClock.setRate(this.speed);
+      if (!state.beeping) RadarBeep.startForPass(this.pass);
+    },
 
-      // Star map slider
-      dom.starmapSlider.addEventListener('input', e => {
-        const val = parseInt(e.target.value);
+    seek(seconds) {
+      if (!this.pass) return;
+      SkyClock.set(this.pass.riseTime.getTime() + seconds * 1000);
+      if (!state.beeping) RadarBeep.startForPass(this.pass);
+    },
+
+    setSpeed(speed) {
+      this.speed = speed;
+      if (this.pass && !SkyClock.paused()) SkyClock.setRate(speed);
+      this.renderSpeeds();
+    },
+
+    renderSpeeds() {
+      document.querySelectorAll('.replay-speed').forEach(btn => {
+        btn.classList.toggle('active', parseFloat(btn.dataset.speed) === this.speed);
+      });
+    },
+
+    // Ends the replay and puts the sky clock back where it was
+    stop() {
+      if (!this.pass) return;
+      cancelAnimationFrame(this.raf);
+      this.pass = null;
+      this.sat = null;
+      state.simulating = false;
+      state.livePassIndex = -1; // checkLive redraws a live arc if there is one
+      RadarBeep.stop();
+      dom.btnSimulate.textContent = '⚡ Replay Pass';
+      dom.replayBar.classList.add('hidden');
+      dom.issBlip.classList.remove('blip-simulating');
+      RadarBlip.clearPredictedArc();
+
+      const r = this.resume;
+      if (r.live) SkyClock.live();
+      else SkyClock.set(r.ms, r.rate);
+    },
+
+    toggle() {
+      if (this.pass) this.stop();
+      else this.start();
+    },
+
+    init() {
+      dom.btnReplayPlay.addEventListener('click', () => this.togglePlay());
+      dom.replaySlider.addEventListener('input', () => {
+        this.seeking = true;
+        this.seek(parseInt(dom.replaySlider.value));
+      });
+      dom.replaySlider.addEventListener('change', () => { this.seeking = false; });
+      document.querySelectorAll('.replay-speed').forEach(btn => {
+        btn.addEventListener('click', () => this.setSpeed(parseFloat(btn.dataset.speed)));
+      });
+    }
+  };
+
+  // ══════════════════════════════════════════
+  //  AR VIEW — the sky drawn over the camera feed
+  // ══════════════════════════════════════════
+  // Device orientation gives the phone's attitude as alpha (about the screen
+  // normal, from north), beta (about its x axis) and gamma (about its y axis),
+  // applied Z-X'-Y''. Sky directions are turned into the phone's frame and
+  // projected through a pinhole camera looking out of the back (-z).
+  const ARView = {
+    stream: null,
+    raf: null,
+    orient: null,       // { alpha, beta, gamma } in degrees
+    listening: false,
+
+    supported() {
+      return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    },
+
+    async start() {
+      if (this.stream) return;
+      if (!this.supported()) return this.setStatus('This browser has no camera access', 'error');
+      try {
+        // iOS asks for motion access separately, and only from a tap
+        if (typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function') {
+          await DeviceOrientationEvent.requestPermission();
+        }
+        this.stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+      } catch (e) {
+        return this.setStatus(`Camera unavailable — ${e.message || e.name}`, 'error');
+      }
+      dom.arVideo.srcObject = this.stream;
+      dom.arVideo.play().catch(() => {});
+      this.listen();
+      dom.btnArStart.textContent = '⏹ Stop Camera';
+      this.setStatus(this.orient ? '' : 'Waiting for the motion sensors — AR needs a phone or tablet', '');
+      this.render();
+    },
+
+    stop() {
+      if (!this.stream) return;
+      this.stream.getTracks().forEach(t => t.stop());
+      this.stream = null;
+      dom.arVideo.srcObject = null;
+      cancelAnimationFrame(this.raf);
+      dom.arOverlay.innerHTML = '';
+      dom.arPointer.classList.add('hidden');
+      dom.btnArStart.textContent = '📷 Start Camera';
+      this.setStatus('Start the camera and hold your phone up to the sky', '');
+    },
+
+    toggle() {
+      if (this.stream) this.stop();
+      else this.start();
+    },
+
+    listen() {
+      if (this.listening) return;
+      this.listening = true;
+      // Chrome's plain deviceorientation is relative to wherever it started
+      const absolute = 'ondeviceorientationabsolute' in window;
+      window.addEventListener(absolute ? 'deviceorientationabsolute' : 'deviceorientation', e => {
+        if (e.alpha == null || e.beta == null || e.gamma == null) return;
+        // iOS's alpha starts anywhere; its compass heading pins it to north.
+        // Either is magnetic — turn it to true north as the radar does
+        const magnetic = e.webkitCompassHeading != null ? e.webkitCompassHeading : 360 - e.alpha;
+        const alpha = 360 - CompassArrow.toTrue(magnetic);
+        if (!this.orient && this.stream) this.setStatus('', '');
+        this.orient = { alpha, beta: e.beta, gamma: e.gamma };
+      });
+    },
+
+    // The phone's axes in east-north-up, the screen's rotation and the
+    // camera's focal length in view pixels
+    camera() {
+      const a = this.orient.alpha * RAD;
+      const b = this.orient.beta * RAD;
+      const g = this.orient.gamma * RAD;
+      const [cZ, sZ, cX, sX, cY, sY] = [Math.cos(a), Math.sin(a), Math.cos(b), Math.sin(b), Math.cos(g), Math.sin(g)];
+      const angle = screen.orientation ? screen.orientation.angle : (window.orientation || 0);
+      const w = dom.arView.clientWidth;
+      const h = dom.arView.clientHeight;
+      return {
+        X: [cZ * cY - sZ * sX * sY, cY * sZ + cZ * sX * sY, -cX * sY],
+        Y: [-cX * sZ, cZ * cX, sX],
+        Z: [cY * sZ * sX + cZ * sY, sZ * sY - cZ * cY * sX, cX * cY],
+        rot: angle * RAD,
+        w,
+        h,
+        f: (Math.max(w, h) / 2) / Math.tan((AR_FOV_DEG / 2) * RAD),
+      };
+    },
+
+    // Screen position of a sky direction. front = ahead of the camera;
+    // sx/sy = direction on the screen plane (for the off-frame pointer);
+    // off = angle from the middle of the picture
+    project(cam, az, el) {
+      const v = [Math.cos(el * RAD) * Math.sin(az * RAD), Math.cos(el * RAD) * Math.cos(az * RAD), Math.sin(el * RAD)];
+      const dot = m => m[0] * v[0] + m[1] * v[1] + m[2] * v[2];
+      const dx = dot(cam.X);
+      const dy = dot(cam.Y);
+      const depth = -dot(cam.Z);
+      const sx = dx * Math.cos(cam.rot) - dy * Math.sin(cam.rot);
+      const sy = dx * Math.sin(cam.rot) + dy * Math.cos(cam.rot);
+      const d = Math.max(depth, 1e-3);
+      const x = cam.w / 2 + cam.f * sx / d;
+      const y = cam.h / 2 - cam.f * sy / d;
+      const front = depth > 0.05;
+      return {
+        x, y, sx, sy, front,
+        inFrame: front && x >= 0 && x <= cam.w && y >= 0 && y <= cam.h,
+        off: Math.acos(Math.max(-1, Math.min(1, depth))) * DEG,
+      };
+    },
+
+    // Polyline through az/el points, broken wherever it goes behind the camera
+    path(cam, pts) {
+      let d = '';
+      let pen = false;
+      pts.forEach(p => {
+        const xy = this.project(cam, p.az, p.el);
+        if (!xy.front) {
+          pen = false;
+          return;
+        }
+        d += `${pen ? 'L' : 'M'}${xy.x.toFixed(1)},${xy.y.toFixed(1)}`;
+        pen = true;
+      });
+      return d;
+    },
+
+    // The pass to show: the one being replayed, the live one, or the next
+    pass() {
+      return PassReplay.pass || state.passes[state.livePassIndex] || PassReplay.nextPass() || null;
+    },
+
+    // What the pointer leads to: the satellite while it's up, else where the
+    // pass will appear
+    target(pass) {
+      if (state.issEl > 0) {
+        const sat = PassReplay.sat || SatelliteCatalog.selected();
+        return { name: sat.name, az: state.issAz, el: state.issEl };
+      }
+      if (pass) {
+        const passSat = SatelliteCatalog.get(pass.satId);
+        return { name: `${passSat.name} appears ${fmtTime(pass.visStart.time)}`, az: pass.visStart.az, el: pass.visStart.el };
+      }
+      return null;
+    },
+
+    render() {
+      if (!this.stream) return;
+      this.raf = requestAnimationFrame(() => this.render());
+      if (!this.orient) return;
+      const cam = this.camera();
+      const now = SkyClock.now();
+      const text = (xy, label, fill, size = 12, weight = 400) =>
+        `<text x="${(xy.x + 8).toFixed(1)}" y="${(xy.y + 4).toFixed(1)}" fill="${fill}" font-size="${size}" font-weight="${weight}">${escapeHtml(label)}</text>`;
+      let svg = '';
+
+      // Horizon and compass points
+      const horizon = [];
+      for (let az = 0; az <= 360; az += 5) horizon.push({ az, el: 0 });
+      svg += `<path d="${this.path(cam, horizon)}" fill="none" stroke="rgba(255,255,255,.5)" stroke-width="1.5" stroke-dasharray="6,4"/>`;
+      ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'].forEach((name, i) => {
+        const xy = this.project(cam, i * 45, 0);
+        if (xy.inFrame) svg += `<text x="${xy.x.toFixed(1)}" y="${(xy.y + 18).toFixed(1)}" text-anchor="middle" fill="#fff" font-size="${i % 2 ? 12 : 16}" font-weight="700">${name}</text>`;
+      });
+
+      // Bright stars and planets at the sky clock's time
+      if (typeof StarMap !== 'undefined') {
+        StarMap.STARS.filter(st => st.mag <= AR_STAR_MAG).forEach(st => {
+          const pos = StarMap.raDecToAzEl(st.ra, st.dec, now, OBSERVER.lat, OBSERVER.lon);
+          const xy = this.project(cam, pos.az, pos.el);
+          if (pos.el < -2 || !xy.inFrame) return;
+          svg += `<circle cx="${xy.x.toFixed(1)}" cy="${xy.y.toFixed(1)}" r="${Math.max(2, 5 - st.mag * 1.2).toFixed(1)}" fill="rgba(255,255,245,.9)"/>`;
+          svg += text(xy, st.name, 'rgba(220,220,255,.85)');
+        });
+        StarMap.planetPositions(now).forEach(pl => {
+          const pos = StarMap.raDecToAzEl(pl.ra, pl.dec, now, OBSERVER.lat, OBSERVER.lon);
+          const xy = this.project(cam, pos.az, pos.el);
+          if (pos.el < -2 || !xy.inFrame) return;
+          svg += `<circle cx="${xy.x.toFixed(1)}" cy="${xy.y.toFixed(1)}" r="5" fill="${pl.color}"/>`;
+          svg += text(xy, pl.name, pl.color, 12, 600);
+        });
+      }
+
+      // Launch trajectories
+      if (typeof LaunchTracker !== 'undefined') {
+        LaunchTracker.getTrajectories().forEach(tr => {
+          svg += `<path d="${this.path(cam, tr.ascent)}" fill="none" stroke="${tr.color}" stroke-width="3" stroke-opacity=".8"/>`;
+          if (tr.flare.length) svg += `<path d="${this.path(cam, tr.flare)}" fill="none" stroke="#e040fb" stroke-width="4" stroke-dasharray="5,5"/>`;
+          const start = tr.ascent.find(p => p.el > 0);
+          const xy = start && this.project(cam, start.az, start.el);
+          if (xy && xy.inFrame) svg += text(xy, `🚀 ${tr.launch.missionName}`, tr.color, 12, 600);
+        });
+      }
+
+      // Predicted pass track, with its rise time
+      const pass = this.pass();
+      if (pass) {
+        const sat = SatelliteCatalog.get(pass.satId);
+        const color = PassReplay.pass === pass ? COLOR_SIM : sat.color;
+        svg += `<path d="${this.path(cam, pass.points)}" fill="none" stroke="${color}" stroke-width="3" stroke-linecap="round"/>`;
+        const xy = this.project(cam, pass.visStart.az, pass.visStart.el);
+        if (xy.inFrame) svg += text(xy, `${sat.name} ${fmtTime(pass.visStart.time)}`, color, 13, 700);
+      }
+
+      // The satellite itself
+      const sat = PassReplay.sat || SatelliteCatalog.selected();
+      if (state.issEl > -2) {
+        const xy = this.project(cam, state.issAz, state.issEl);
+        if (xy.inFrame) {
+          svg += `<circle cx="${xy.x.toFixed(1)}" cy="${xy.y.toFixed(1)}" r="9" fill="none" stroke="${sat.color}" stroke-width="3"/>`;
+          svg += text({ x: xy.x + 6, y: xy.y }, sat.name, sat.color, 14, 700);
+        }
+      }
+
+      dom.arOverlay.setAttribute('viewBox', `0 0 ${cam.w} ${cam.h}`);
+      dom.arOverlay.innerHTML = svg;
+      this.pointTo(cam, this.target(pass));
+    },
+
+    // Edge-of-frame arrow towards a target that isn't in the picture
+    pointTo(cam, target) {
+      const xy = target && this.project(cam, target.az, target.el);
+      if (!xy || xy.inFrame) {
+        dom.arPointer.classList.add('hidden');
+        return;
+      }
+      // Straight behind there's no screen direction — any way round will do
+      const angle = Math.hypot(xy.sx, xy.sy) < 1e-3 ? 0 : Math.atan2(-xy.sy, xy.sx);
+      const r = Math.min(cam.w, cam.h) / 2 - 36;
+      dom.arPointer.style.left = `${cam.w / 2 + r * Math.cos(angle)}px`;
+      dom.arPointer.style.top = `${cam.h / 2 + r * Math.sin(angle)}px`;
+      dom.arPointer.querySelector('.ar-pointer-arrow').style.transform = `rotate(${angle * DEG}deg)`;
+      dom.arPointerText.textContent = `${target.name} · ${Math.round(xy.off)}° away`;
+      dom.arPointer.classList.remove('hidden');
+    },
+
+    setStatus(msg, cls) {
+      dom.arStatus.textContent = msg;
+      dom.arStatus.className = 'ar-status loc-status' + (cls ? ` ${cls}` : '');
+    },
+
+    init() {
+      dom.btnArStart.addEventListener('click', () => this.toggle());
+      this.stop();
+      this.setStatus(this.supported() ? 'Start the camera and hold your phone up to the sky' : 'This browser has no camera access', '');
+    }
+  };
+
+  // ══════════════════════════════════════════
+  //  VOICE GUIDE (Web Speech API)
+  // ══════════════════════════════════════════
+  // Spoken callouts keyed by language. Directions come in two sets: relative
+  // to where the phone points (rel, clockwise from ahead) and compass points.
+  const VOICE_PHRASES = {
+    en: {
+      minutes: n => n === 1 ? 'one minute' : `${n} minutes`,
+      seconds: n => `${n} seconds`,
+      appears: (name, when) => `${name} appears in ${when}`,
+      now: name => `${name} is up now`,
+      look: (dir, height) => `Look ${dir}, ${height}`,
+      up: n => `${n} degrees up`,
+      low: 'low on the horizon',
+      overhead: 'almost straight up',
+      peak: name => `${name} is at its highest`,
+      fadeSoon: n => `Fading into shadow in ${n} seconds`,
+      fadeNow: 'Entering Earth\'s shadow now',
+      over: name => `${name} is gone. That's the pass.`,
+      ready: 'Voice guide on',
+      rel: ['straight ahead', 'ahead to your right', 'to your right', 'behind you on the right',
+        'behind you', 'behind you on the left', 'to your left', 'ahead to your left'],
+      cardinal: ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'],
+    },
+    es: {
+      minutes: n => n === 1 ? 'un minuto' : `${n} minutos`,
+      seconds: n => `${n} segundos`,
+      appears: (name, when) => `${name} aparece en ${when}`,
+      now: name => `${name} ya está visible`,
+      look: (dir, height) => `Mira ${dir}, ${height}`,
+      up: n => `${n} grados sobre el horizonte`,
+      low: 'bajo en el horizonte',
+      overhead: 'casi en el cenit',
+      peak: name => `${name} está en su punto más alto`,
+      fadeSoon: n => `Entra en la sombra en ${n} segundos`,
+      fadeNow: 'Entrando en la sombra de la Tierra',
+      over: name => `${name} ya no es visible`,
+      ready: 'Guía de voz activada',
+      rel: ['al frente', 'al frente a la derecha', 'a tu derecha', 'atrás a la derecha',
+        'detrás de ti', 'atrás a la izquierda', 'a tu izquierda', 'al frente a la izquierda'],
+      cardinal: ['al norte', 'al noreste', 'al este', 'al sureste', 'al sur', 'al suroeste', 'al oeste', 'al noroeste'],
+    },
+    de: {
+      minutes: n => n === 1 ? 'einer Minute' : `${n} Minuten`,
+      seconds: n => `${n} Sekunden`,
+      appears: (name, when) => `${name} erscheint in ${when}`,
+      now: name => `${name} ist jetzt sichtbar`,
+      look: (dir, height) => `Schau ${dir}, ${height}`,
+      up: n => `${n} Grad hoch`,
+      low: 'tief am Horizont',
+      overhead: 'fast senkrecht über dir',
+      peak: name => `${name} steht jetzt am höchsten`,
+      fadeSoon: n => `Verschwindet in ${n} Sekunden im Erdschatten`,
+      fadeNow: 'Tritt jetzt in den Erdschatten ein',
+      over: name => `${name} ist nicht mehr sichtbar`,
+      ready: 'Sprachführung an',
+      rel: ['geradeaus', 'nach vorne rechts', 'nach rechts', 'nach hinten rechts',
+        'hinter dich', 'nach hinten links', 'nach links', 'nach vorne links'],
+      cardinal: ['nach Norden', 'nach Nordosten', 'nach Osten', 'nach Südosten',
+        'nach Süden', 'nach Südwesten', 'nach Westen', 'nach Nordwesten'],
+    },
+    fr: {
+      minutes: n => n === 1 ? 'une minute' : `${n} minutes`,
+      seconds: n => `${n} secondes`,
+      appears: (name, when) => `${name} apparaît dans ${when}`,
+      now: name => `${name} est visible maintenant`,
+      look: (dir, height) => `Regardez ${dir}, ${height}`,
+      up: n => `à ${n} degrés`,
+      low: 'bas sur l\'horizon',
+      overhead: 'presque au zénith',
+      peak: name => `${name} est au plus haut`,
+      fadeSoon: n => `Entre dans l'ombre dans ${n} secondes`,
+      fadeNow: 'Entre dans l\'ombre de la Terre',
+      over: name => `${name} n'est plus visible`,
+      ready: 'Guide vocal activé',
+      rel: ['droit devant', 'devant à droite', 'à droite', 'derrière à droite',
+        'derrière vous', 'derrière à gauche', 'à gauche', 'devant à gauche'],
+      cardinal: ['vers le nord', 'vers le nord-est', 'vers l\'est', 'vers le sud-est',
+        'vers le sud', 'vers le sud-ouest', 'vers l\'ouest', 'vers le nord-ouest'],
+    },
+  };
+
+  // Talks the observer through the next visible pass: a countdown to when it
+  // appears, where to look (relative to the phone's heading when the compass
+  // is live), the highest point and a warning before it fades into shadow.
+  // Cue text is built when it's spoken, from the live position.
+  const VoiceGuide = {
+    pass: null,
+    cues: [],
+    timer: null,
+    spoken: new Set(),   // passes already guided, so a re-check doesn't restart them
+
+    supported() {
+      return 'speechSynthesis' in window;
+    },
+
+    phrases() {
+      return VOICE_PHRASES[state.voiceSettings.lang.slice(0, 2)] || VOICE_PHRASES.en;
+    },
+
+    speak(text) {
+      if (!this.supported()) return;
+      const { lang, voice } = state.voiceSettings;
+      const u = new SpeechSynthesisUtterance(text);
+      u.lang = lang;
+      u.voice = speechSynthesis.getVoices().find(v => v.voiceURI === voice) || null;
+      speechSynthesis.speak(u);
+    },
+
+    // Called with each live-pass check: picks up the next visible pass
+    // shortly before it appears
+    check() {
+      if (!state.voiceSettings.enabled || !this.supported()) return;
+      const now = Date.now();
+      if (this.pass) return;
+      const next = state.passes.find(p =>
+        (state.magLimit == null || p.peakMag <= state.magLimit) &&
+        p.visEnd.time.getTime() > now &&
+        p.visStart.time.getTime() - now <= VOICE_LEAD_MS &&
+        !this.spoken.has(this.key(p))
+      );
+      if (next) this.startForPass(next);
+    },
+
+    key(pass) {
+      return `${pass.satId}:${pass.riseTime.getTime()}`;
+    },
+
+    // "ISS (ZARYA)" → "ISS"
+    spokenName(sat) {
+      return sat.name.replace(/\s*\(.*\)/, '');
+    },
+
+    startForPass(pass) {
+      this.stop();
+      const sat = SatelliteCatalog.get(pass.satId);
+      if (!sat) return;
+      this.pass = pass;
+      this.spoken.add(this.key(pass));
+
+      const p = this.phrases();
+      const cfg = VOICE_CUES[state.voiceSettings.verbosity] || VOICE_CUES.normal;
+      const name = this.spokenName(sat);
+      const tStart = pass.visStart.time.getTime();
+      const tPeak = pass.visPeak.time.getTime();
+      const tEnd = pass.visEnd.time.getTime();
+      const tShadow = pass.shadowEntry && pass.shadowEntry.time.getTime() <= tEnd + 1000
+        ? pass.shadowEntry.time.getTime() : null;
+      const cue = (time, say) => this.cues.push({ time, say });
+
+      cfg.countdown.forEach(s => cue(tStart - s * 1000, () =>
+        p.appears(name, s >= 60 ? p.minutes(Math.round(s / 60)) : p.seconds(s))));
+      cue(tStart, date => `${p.now(name)}. ${this.direction(sat, cfg, date)}`);
+      if (cfg.every) {
+        for (let t = tStart + cfg.every * 1000; t < tEnd - 5000; t += cfg.every * 1000) {
+          // Leave room around the other callouts
+          if (Math.abs(t - tPeak) < 8000 || (tShadow && Math.abs(t - (tShadow - VOICE_SHADOW_WARN_S * 1000)) < 8000)) continue;
+          cue(t, date => this.direction(sat, cfg, date));
+        }
+      }
+      cue(tPeak, date => `${p.peak(name)}. ${this.direction(sat, cfg, date)}`);
+      if (tShadow) {
+        cue(tShadow - VOICE_SHADOW_WARN_S * 1000, () => p.fadeSoon(VOICE_SHADOW_WARN_S));
+        cue(tShadow, () => p.fadeNow);
+      } else {
+        cue(tEnd, () => p.over(name));
+      }
+      this.cues.sort((a, b) => a.time - b.time);
+
+      // Joining mid-pass: skip what's already happened, but say where it is now
+      const now = Date.now();
+      this.cues = this.cues.filter(c => c.time > now - 2000);
+      if (now > tStart && now < tEnd) cue(now, date => `${p.now(name)}. ${this.direction(sat, cfg, date)}`);
+      this.cues.sort((a, b) => a.time - b.time);
+
+      this.timer = setInterval(() => this.tick(), 500);
+    },
+
+    tick() {
+      const now = Date.now();
+      while (this.cues.length && this.cues[0].time <= now) {
+        const c = this.cues.shift();
+        // Cues that went stale while the page slept aren't worth saying
+        if (now - c.time < 3000) this.speak(c.say(new Date(now)));
+      }
+      if (!this.cues.length) this.stop();
+    },
+
+    // "Look ahead to your right, 35 degrees up, just below Vega"
+    direction(sat, cfg, date) {
+      const p = this.phrases();
+      // Relative directions only while the phone's compass drives the heading
+      let relative = CompassArrow.hasOrientation && CompassArrow.compassLocked;
+      let la = PassPredictor.lookAngles(date, sat);
+      if (!la) {
+        // SGP4 failed — fall back to the predicted track, by compass point
+        la = this.predictedAt(date);
+        if (!la) return '';
+        relative = false;
+      }
+      const az = relative ? (la.az - state.heading + 360) % 360 : la.az;
+      const dir = (relative ? p.rel : p.cardinal)[Math.round(az / 45) % 8];
+      const height = la.el >= 80 ? p.overhead : la.el < 15 ? p.low : p.up(Math.round(la.el));
+      let text = p.look(dir, height);
+      // Landmark names and their phrasing come from the (English) star map
+      if (cfg.landmarks && p === VOICE_PHRASES.en) {
+        const landmark = this.landmark(la, date);
+        if (landmark) text += `, ${landmark}`;
+      }
+      return text;
+    },
+
+    // The current pass's predicted point nearest a time
+    predictedAt(date) {
+      const pts = this.pass ? this.pass.points : [];
+      if (!pts.length) return null;
+      return pts.reduce((best, pt) => Math.abs(pt.time - date) < Math.abs(best.time - date) ? pt : best);
+    },
+
+    landmark(la, date) {
+      const moon = Orbit.moonPosition(date, OBSERVER);
+      const near = moonHint(moon, Orbit.moonRelation(la.az, la.el, moon));
+      if (near) return near.replace(/°/g, ' degrees');
+      if (typeof StarMap === 'undefined') return '';
+      const text = StarMap.landmarkNear(la.az, la.el, date, OBSERVER.lat, OBSERVER.lon);
+      // A bare compass direction would only repeat what was just said
+      return /^(low in the |[NSEW]+, )/.test(text) ? '' : text.replace(/°/g, ' degrees');
+    },
+
+    stop() {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.pass = null;
+      this.cues = [];
+    },
+
+    toggle() {
+      this.setEnabled(!state.voiceSettings.enabled);
+    },
+
+    setEnabled(enabled) {
+      this.save({ enabled });
+      if (enabled) {
+        // Speaking from the click unlocks speech on browsers that need a gesture
+        this.speak(this.phrases().ready);
+        this.check();
+      } else {
+        this.stop();
+        if (this.supported()) speechSynthesis.cancel();
+      }
+    },
+
+    save(changes) {
+      state.voiceSettings = { ...state.voiceSettings, ...changes };
+      localStorage.setItem('voice_settings', JSON.stringify(state.voiceSettings));
+      this.renderControls();
+    },
+
+    // Voices for the chosen language; they load asynchronously on some browsers
+    populateVoices() {
+      if (!this.supported()) return;
+      const { lang, voice } = state.voiceSettings;
+      const prefix = lang.slice(0, 2);
+      const voices = speechSynthesis.getVoices().filter(v => v.lang.replace('_', '-').startsWith(prefix));
+      dom.inputVoice.innerHTML = '<option value="">Default</option>' + voices.map(v =>
+        `<option value="${v.voiceURI}">${v.name}${v.lang === lang ? '' : ` (${v.lang})`}</option>`
+      ).join('');
+      dom.inputVoice.value = voices.some(v => v.voiceURI === voice) ? voice : '';
+    },
+
+    renderControls() {
+      const { enabled, lang, verbosity } = state.voiceSettings;
+      dom.btnVoice.textContent = enabled ? '🗣️ Voice: On' : '🗣️ Voice: Off';
+      dom.btnVoice.classList.toggle('btn-primary', enabled);
+      dom.btnVoice.classList.toggle('btn-ghost', !enabled);
+      dom.inputVoiceLang.value = lang;
+      dom.inputVoiceVerbosity.value = verbosity;
+    },
+
+    setStatus(msg, cls) {
+      dom.voiceStatus.textContent = msg;
+      dom.voiceStatus.className = 'loc-status' + (cls ? ` ${cls}` : '');
+    },
+
+    init() {
+      this.renderControls();
+      if (!this.supported()) {
+        dom.btnVoice.disabled = true;
+        this.setStatus('Speech isn\'t available in this browser', 'error');
+        return;
+      }
+      this.populateVoices();
+      speechSynthesis.addEventListener('voiceschanged', () => this.populateVoices());
+
+      dom.btnVoice.addEventListener('click', () => this.toggle());
+      dom.inputVoiceLang.addEventListener('change', e => {
+        this.save({ lang: e.target.value, voice: '' });
+        this.populateVoices();
+      });
+      dom.inputVoice.addEventListener('change', e => this.save({ voice: e.target.value }));
+      dom.inputVoiceVerbosity.addEventListener('change', e => this.save({ verbosity: e.target.value }));
+      dom.btnVoiceTest.addEventListener('click', () => {
+        const sat = SatelliteCatalog.selected();
+        const p = this.phrases();
+        this.speak(sat ? p.appears(this.spokenName(sat), p.minutes(2)) : p.ready);
+      });
+    }
+  };
+
+  // ══════════════════════════════════════════
+  //  REMINDERS (Notifications + service worker)
+  // ══════════════════════════════════════════
+  // Per-event toggles live in state.reminders as { id, type, ref, time, on }.
+  // ref names the event without its time (the satellite, satellite + body, or
+  // the launch id) so a re-predicted pass or a slipped launch keeps its
+  // reminder and is rescheduled; on: false mutes one the global rule picked.
+  // Where the browser has notification triggers the service worker delivers
+  // reminders with the app closed; otherwise this tab fires them.
+  const Reminders = {
+    registration: null,
+    timers: [],
+    scheduleTimer: null,
+    satDue: [],          // pass and transit reminders from the last real-time predictions
+
+    supported() {
+      return 'Notification' in window;
+    },
+
+    ref(e) {
+      if (e.type === 'pass') return String(e.pass.satId);
+      if (e.type === 'transit') return `${e.transit.satId}:${e.transit.body}`;
+      return String(e.launch.id);
+    },
+
+    // The stored toggle for an event list entry, if any
+    find(e) {
+      const ref = this.ref(e);
+      return state.reminders.find(r => r.type === e.type && r.ref === ref &&
+        (e.type === 'launch' || Math.abs(r.time - e.sortTime) < REMINDER_MATCH_MS));
+    },
+
+    byRule(e) {
+      const { ruleEl, ruleRating } = state.reminderSettings;
+      return e.type === 'pass' && ruleRating !== '' && e.maxEl >= ruleEl &&
+        (RATING_RANK[e.visLabel] ?? 3) <= RATING_RANK[ruleRating];
+    },
+
+    isOn(e) {
+      const r = this.find(e);
+      return r ? r.on : this.byRule(e);
+    },
+
+    canRemind(e, now = Date.now()) {
+      return e.sortTime > now && !(e.type === 'launch' && !e.launch.net);
+    },
+
+    async toggle(e) {
+      const on = !this.isOn(e);
+      if (on && !(await this.permit())) return;
+      const r = this.find(e);
+      if (r) {
+        r.on = on;
+      } else {
+        const ref = this.ref(e);
+        state.reminders.push({ id: `${e.type}:${ref}:${e.sortTime}`, type: e.type, ref, time: e.sortTime, on });
+      }
+      this.save();
+      EventListManager.rebuild();
+    },
+
+    save() {
+      localStorage.setItem('reminders', JSON.stringify(state.reminders));
+    },
+
+    // Asks for permission the first time (browsers want this from a click)
+    async permit() {
+      if (!this.supported()) {
+        this.setStatus('Notifications aren\'t available in this browser', 'error');
+        return false;
+      }
+      if (Notification.permission === 'default') await Notification.requestPermission();
+      if (Notification.permission !== 'granted') {
+        this.setStatus('Notifications are blocked — allow them for this site to get reminders', 'error');
+        return false;
+      }
+      return true;
+    },
+
+    // Called with every event list rebuild: follows the toggles to their
+    // events' current times and reschedules
+    sync(events) {
+      // Passes and transits predicted from a sky clock moved elsewhere would
+      // cancel the reminders for the real ones — until it's back, keep those
+      // from the last real-time list and follow only the launches
+      const realTime = PassPredictor.realTime;
+      if (!realTime) events = events.filter(e => e.type === 'launch');
+      const now = Date.now();
+      let changed = false;
+      events.forEach(e => {
+        const r = this.find(e);
+        if (r && r.time !== e.sortTime) {
+          r.time = e.sortTime;
+          changed = true;
+        }
+      });
+      // Forget toggles for events that are long over
+      const kept = state.reminders.filter(r => r.time > now - 24 * 3600 * 1000);
+      if (kept.length !== state.reminders.length) {
+        state.reminders = kept;
+        changed = true;
+      }
+      if (changed) this.save();
+
+      const { leadMin } = state.reminderSettings;
+      const due = events
+        .filter(e => this.canRemind(e, now) && e.sortTime - leadMin * 60 * 1000 > now && this.isOn(e))
+        .map(e => {
+          const r = this.find(e);
+          return {
+            type: e.type,
+            tag: r ? r.id : `rule:${e.type}:${this.ref(e)}:${e.sortTime}`,
+            at: e.sortTime - leadMin * 60 * 1000,
+            title: `${e.title} in ${leadMin} min`,
+            body: [e.subtitle, e.hint].filter(Boolean).join('\n'),
+          };
+        });
+      if (realTime) this.satDue = due.filter(d => d.type !== 'launch');
+      else due.push(...this.satDue.filter(d => d.at > now));
+      // Rebuilds come in bursts while passes stream in
+      clearTimeout(this.scheduleTimer);
+      this.scheduleTimer = setTimeout(() => this.schedule(due), 1000);
+    },
+
+    async schedule(due) {
+      this.timers.forEach(clearTimeout);
+      this.timers = [];
+      if (!this.supported() || Notification.permission !== 'granted') return;
+
+      const reg = this.registration;
+      const triggers = reg && 'showTrigger' in Notification.prototype;
+      if (triggers) {
+        // Replace everything still pending — the simplest way to move a reminder
+        const pending = await reg.getNotifications({ includeTriggered: true });
+        pending.forEach(n => { if (n.timestamp > Date.now()) n.close(); });
+        due.forEach(d => reg.showNotification(d.title, {
+          body: d.body, tag: d.tag, timestamp: d.at, showTrigger: new TimestampTrigger(d.at),
+        }));
+      } else {
+        // setTimeout overflows past ~24.8 days; those get picked up by a later rebuild
+        due.filter(d => d.at - Date.now() < 2 ** 31 - 1)
+          .forEach(d => this.timers.push(setTimeout(() => this.show(d), d.at - Date.now())));
+      }
+
+      const n = due.length;
+      if (!n) return this.setStatus('', '');
+      const next = new Date(Math.min(...due.map(d => d.at)));
+      this.setStatus(`${n} reminder${n === 1 ? '' : 's'} set, next ${fmtDate(next)} ${fmtTime(next)}` +
+        (triggers ? '' : ' — keep this tab open'), 'success');
+    },
+
+    show(d) {
+      const options = { body: d.body, tag: d.tag };
+      if (this.registration) this.registration.showNotification(d.title, options);
+      else new Notification(d.title, options);
+    },
+
+    setStatus(msg, cls) {
+      dom.reminderStatus.textContent = msg;
+      dom.reminderStatus.className = 'loc-status' + (cls ? ` ${cls}` : '');
+    },
+
+    async applySettings() {
+      const leadMin = parseFloat(dom.inputReminderLead.value);
+      const ruleEl = parseFloat(dom.inputReminderEl.value);
+      const ruleRating = dom.inputReminderRating.value;
+      if (isNaN(leadMin) || leadMin < 1 || leadMin > 120) return this.setStatus('Lead time must be 1–120 min', 'error');
+      if (isNaN(ruleEl) || ruleEl < 0 || ruleEl > 90) return this.setStatus('Min elevation must be 0–90°', 'error');
+      if (ruleRating && !(await this.permit())) return;
+
+      state.reminderSettings = { leadMin, ruleEl, ruleRating };
+      localStorage.setItem('reminder_settings', JSON.stringify(state.reminderSettings));
+      EventListManager.rebuild();
+    },
+
+    init() {
+      const { leadMin, ruleEl, ruleRating } = state.reminderSettings;
+      dom.inputReminderLead.value = leadMin;
+      dom.inputReminderEl.value = ruleEl;
+      dom.inputReminderRating.value = ruleRating;
+      dom.btnApplyReminders.addEventListener('click', () => this.applySettings());
+
+      OfflineMode.ready.then(reg => {
+        if (!reg) return;
+        this.registration = reg;
+        EventListManager.rebuild();
+      });
+    }
+  };
+
+  // ══════════════════════════════════════════
+  //  CALENDAR EXPORT (iCalendar)
+  // ══════════════════════════════════════════
+  // Writes event list entries as an .ics file. UIDs come from
+  // EventListManager.eventId(), which names the event rather than its
+  // predicted time, so importing a fresh export updates the entries already
+  // in a calendar instead of duplicating them.
+  const CalendarExport = {
+    uid(e) {
+      return `${EventListManager.eventId(e)}@iss-hunter`;
+    },
+
+    // 20240412T031500Z
+    stamp(date) {
+      return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    },
+
+    text(s) {
+      return s.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+    },
+
+    // Content lines fold at 75 octets, continuing with a leading space
+    fold(line) {
+      const enc = new TextEncoder();
+      const out = [];
+      let cur = '';
+      let bytes = 0;
+      for (const ch of line) {
+        const n = enc.encode(ch).length;
+        if (bytes + n > (out.length ? 74 : 75)) {
+          out.push(cur);
+          cur = '';
+          bytes = 0;
+        }
+        cur += ch;
+        bytes += n;
+      }
+      out.push(cur);
+      return out.join('\r\n ');
+    },
+
+    // [start, end, summary, location, geo, description] for one entry
+    describe(e) {
+      if (e.type === 'pass') {
+        const p = e.pass;
+        const sat = SatelliteCatalog.get(p.satId);
+        const at = (label, time, az, el) =>
+          `${label} ${fmtTime(time)} · ${az.toFixed(0)}° ${bearingToCardinal(az)}${el != null ? `, ${el.toFixed(0)}° up` : ''}`;
+        const lines = [
+          at('Rise', p.riseTime, p.riseAz),
+          at('Max ', p.maxElTime, p.maxElAz, p.maxEl),
+          at('Set ', p.setTime, p.setAz),
+          `Visible ${p.visSegments.map(seg => `${fmtTime(seg.start.time)}–${fmtTime(seg.end.time)}`).join(', ')}`,
+          `Magnitude ${fmtMag(p.peakMag)} · ${e.visLabel}`,
+          e.hint,
+          e.shadowNote,
+        ];
+        return [p.riseTime, p.setTime, `🛰️ ${sat.name} pass — ${p.maxEl.toFixed(0)}° max`,
+          `${OBSERVER.lat.toFixed(4)}, ${OBSERVER.lon.toFixed(4)}`, OBSERVER, lines];
+      }
+      if (e.type === 'transit') {
+        const t = e.transit;
+        const half = Math.max(t.duration || 0, 60) * 1000 / 2;
+        return [new Date(t.time.getTime() - half), new Date(t.time.getTime() + half), e.title,
+          `${t.closest.lat.toFixed(4)}, ${t.closest.lon.toFixed(4)}`, t.closest,
+          [e.subtitle, e.hint, e.shadowNote]];
+      }
+      const l = e.launch;
+      return [l.net, new Date(l.net.getTime() + 30 * 60 * 1000), e.title,
+        [l.padName, l.locationName].filter(Boolean).join(', '), { lat: l.padLat, lon: l.padLon },
+        [`NET ${fmtDate(l.net)} ${fmtTime(l.net)}`, `Pad: ${l.padName || '—'}`, `Status: ${l.status}`, `Orbit: ${l.orbit}`]];
+    },
+
+    vevent(e, now) {
+      const [start, end, summary, location, geo, lines] = this.describe(e);
+      return [
+        'BEGIN:VEVENT',
+        `UID:${this.uid(e)}`,
+        `DTSTAMP:${this.stamp(now)}`,
+        // Rises with every export so calendars take it as the newer version
+        `SEQUENCE:${Math.floor(now.getTime() / 60000)}`,
+        `DTSTART:${this.stamp(start)}`,
+        `DTEND:${this.stamp(end)}`,
+        `SUMMARY:${this.text(summary)}`,
+        `LOCATION:${this.text(location)}`,
+        `GEO:${geo.lat.toFixed(6)};${geo.lon.toFixed(6)}`,
+        `DESCRIPTION:${this.text(lines.filter(Boolean).join('\n'))}`,
+        'END:VEVENT',
+      ];
+    },
+
+    build(events) {
+      const now = new Date();
+      const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//ISS Hunter//Sky Events//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:ISS Hunter',
+        ...events.filter(e => e.type !== 'launch' || e.launch.net).flatMap(e => this.vevent(e, now)),
+        'END:VCALENDAR',
+      ];
+      return lines.map(l => this.fold(l)).join('\r\n') + '\r\n';
+    },
+
+    download(events, filename) {
+      const url = URL.createObjectURL(new Blob([this.build(events)], { type: 'text/calendar' }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    // Everything the list currently shows
+    exportList() {
+      const events = state.sortedEvents.filter(e => e.type !== 'launch' || e.launch.net);
+      if (!events.length) return;
+      this.download(events, `iss-hunter-${state.activeFilter.replace(':', '-')}.ics`);
+    },
+
+    exportEvent(e) {
+      this.download([e], `${EventListManager.eventId(e)}.ics`);
+    }
+  };
+
+  // ══════════════════════════════════════════
+  //  SKY CHART EXPORT — printable finder charts (skychart.js)
+  // ══════════════════════════════════════════
+  const ChartExport = {
+    event: null,
+    projection: 'allsky',   // 'allsky' | 'horizon'
+    svg: '',
+    url: null,              // object URL of the preview
+
+    open(e) {
+      this.event = e;
+      const sat = SatelliteCatalog.get(e.pass.satId);
+      dom.chartTitle.textContent = `${sat.name} Pass Chart`;
+      this.setStatus('');
+      this.render();
+      dom.chartModal.classList.remove('hidden');
+    },
+
+    render() {
+      const pass = this.event.pass;
+      const sat = SatelliteCatalog.get(pass.satId);
+      this.svg = SkyChart.build(pass, { projection: this.projection, observer: OBSERVER, name: sat.name, color: sat.color });
+      if (this.url) URL.revokeObjectURL(this.url);
+      this.url = URL.createObjectURL(new Blob([this.svg], { type: 'image/svg+xml' }));
+      dom.chartPreview.innerHTML = `<img src="${this.url}" alt="Sky chart for the ${escapeHtml(sat.name)} pass">`;
+      document.querySelectorAll('.chart-projection').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.projection === this.projection);
+      });
+    },
+
+    filename(ext) {
+      return `${EventListManager.eventId(this.event)}-${this.projection}.${ext}`;
+    },
+
+    save(blob, filename) {
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    exportSvg() {
+      this.save(new Blob([this.svg], { type: 'image/svg+xml' }), this.filename('svg'));
+    },
+
+    exportPng() {
+      this.setStatus('Rendering PNG…', '');
+      SkyChart.toPng(this.svg).then(blob => {
+        this.save(blob, this.filename('png'));
+        this.setStatus('');
+      }).catch(e => {
+        console.warn('Chart PNG failed:', e);
+        this.setStatus('PNG export failed — the SVG prints just as well', 'error');
+      });
+    },
+
+    close() {
+      dom.chartModal.classList.add('hidden');
+      dom.chartPreview.innerHTML = '';
+      if (this.url) URL.revokeObjectURL(this.url);
+      this.url = null;
+    },
+
+    setStatus(msg, cls) {
+      dom.chartStatus.textContent = msg;
+      dom.chartStatus.className = 'loc-status' + (cls ? ` ${cls}` : '');
+    },
+
+    init() {
+      document.querySelectorAll('.chart-projection').forEach(btn => {
+        btn.addEventListener('click', () => {
+          this.projection = btn.dataset.projection;
+          this.render();
+        });
+      });
+      dom.btnChartSvg.addEventListener('click', () => this.exportSvg());
+      dom.btnChartPng.addEventListener('click', () => this.exportPng());
+      dom.btnChartClose.addEventListener('click', () => this.close());
+      dom.chartModal.querySelector('.modal-backdrop').addEventListener('click', () => this.close());
+    }
+  };
+
+  // ══════════════════════════════════════════
+  //  DEEP LINKS
+  // ══════════════════════════════════════════
+  // #lat=…&lon=…&alt=…&view=…&filter=…&sort=…&event=… (alt in metres,
+  // event = EventListManager.eventId()). A shared location is shown without
+  // touching the saved observer_loc until the recipient confirms it.
+  const DeepLink = {
+    pendingEvent: null,   // opened as soon as it turns up in the list
+
+    parse() {
+      const params = new URLSearchParams(location.hash.slice(1) || location.search.slice(1));
+      const lat = parseFloat(params.get('lat'));
+      const lon = parseFloat(params.get('lon'));
+      const alt = parseFloat(params.get('alt'));
+      const valid = !isNaN(lat) && !isNaN(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+      return {
+        loc: valid ? { lat, lon, alt: isNaN(alt) ? 0.04 : alt / 1000 } : null,
+        view: params.get('view'),
+        filter: params.get('filter'),
+        sort: params.get('sort'),
+        event: params.get('event'),
+      };
+    },
+
+    build() {
+      const view = document.querySelector('.viewer-tab.active');
+      const params = new URLSearchParams({
+        lat: OBSERVER.lat.toFixed(4),
+        lon: OBSERVER.lon.toFixed(4),
+        alt: Math.round(OBSERVER.alt * 1000),
+        view: view ? view.dataset.view : 'radar',
+        filter: state.activeFilter,
+        sort: state.sortMode,
+      });
+      if (state.selectedEventId) params.set('event', state.selectedEventId);
+      return `${location.origin}${location.pathname}#${params}`;
+    },
+
+    async share() {
+      const url = this.build();
+      try {
+        if (navigator.share) {
+          await navigator.share({ title: 'ISS Hunter', url });
+          return;
+        }
+        await navigator.clipboard.writeText(url);
+        dom.btnShare.textContent = '✓ Link copied';
+      } catch (e) {
+        if (e.name === 'AbortError') return;
+        // No clipboard access: leave the link in the address bar to copy by hand
+        history.replaceState(null, '', url);
+        dom.btnShare.textContent = '✓ Link in address bar';
+      }
+      setTimeout(() => { dom.btnShare.textContent = '🔗 Share'; }, 2000);
+    },
+
+    // withLocation: the observer still needs applying (links opened in a
+    // running tab); at startup LocationManager.init() already took it
+    restore(link, withLocation) {
+      if (link.loc) {
+        if (withLocation) {
+          LocationManager.applyLocation(link.loc.lat, link.loc.lon, link.loc.alt, false);
+          dom.inputLat.value = link.loc.lat.toFixed(4);
+          dom.inputLon.value = link.loc.lon.toFixed(4);
+          LocationManager.reverseGeocode(link.loc.lat, link.loc.lon);
+        }
+        if (this.isForeign(link.loc)) this.showBanner(link.loc);
+      }
+
+      if (link.view && document.getElementById(`view-${link.view}`)) switchView(link.view);
+      // After the view, which would otherwise pick its own filter
+      if (link.filter && document.querySelector(`.filter-btn[data-filter="${link.filter}"]`)) {
+        state.activeFilter = link.filter;
+        document.querySelectorAll('.filter-btn').forEach(b => b.classList.toggle('active', b.dataset.filter === link.filter));
+        if (link.filter.startsWith('sat:')) SatelliteCatalog.select(parseInt(link.filter.slice(4), 10));
+      }
+      if (link.sort && document.querySelector(`.sort-btn[data-sort="${link.sort}"]`)) {
+        state.sortMode = link.sort;
+        document.querySelectorAll('.sort-btn[data-sort]').forEach(b => b.classList.toggle('active', b.dataset.sort === link.sort));
+      }
+      this.pendingEvent = link.event;
+      EventListManager.rebuild();
+    },
+
+    // Clicks the linked event's card once predictions or launches bring it in
+    openPending(events) {
+      const i = events.findIndex(e => EventListManager.eventId(e) === this.pendingEvent);
+      if (i < 0) return;
+      this.pendingEvent = null;
+      const card = dom.eventList.querySelector(`.event-card[data-event="${i}"]`);
+      card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      card.click();
+    },
+
+    isForeign(loc) {
+      const saved = readJson('observer_loc', null);
+      return !saved || Math.abs(saved.lat - loc.lat) > 1e-4 || Math.abs(saved.lon - loc.lon) > 1e-4;
+    },
+
+    showBanner(loc) {
+      dom.sharedText.textContent = `📍 Showing a shared location: ${loc.lat.toFixed(4)}, ${loc.lon.toFixed(4)}`;
+      dom.sharedBanner.classList.remove('hidden');
+    },
+
+    hideBanner() {
+      dom.sharedBanner.classList.add('hidden');
+      // Otherwise a reload would bring the shared spot back
+      if (location.hash) history.replaceState(null, '', location.pathname + location.search);
+    },
+
+    keep() {
+      localStorage.setItem('observer_loc', JSON.stringify(OBSERVER));
+      LocationManager.setStatus(`Saved: ${OBSERVER.lat.toFixed(4)}, ${OBSERVER.lon.toFixed(4)}`, 'success');
+      this.hideBanner();
+    },
+
+    back() {
+      const saved = readJson('observer_loc', null);
+      this.hideBanner();
+      if (!saved) {
+        LocationManager.autoDetect();
+        return;
+      }
+      LocationManager.applyLocation(saved.lat, saved.lon, saved.alt);
+      dom.inputLat.value = saved.lat.toFixed(4);
+      dom.inputLon.value = saved.lon.toFixed(4);
+      LocationManager.reverseGeocode(saved.lat, saved.lon);
+    },
+
+    init() {
+      dom.btnShare.addEventListener('click', () => this.share());
+      dom.btnSharedKeep.addEventListener('click', () => this.keep());
+      dom.btnSharedBack.addEventListener('click', () => this.back());
+      // A link pasted into an open tab
+      window.addEventListener('hashchange', () => this.restore(this.parse(), true));
+    }
+  };
+
+  // ══════════════════════════════════════════
+  //  OFFLINE MODE (service worker + install)
+  // ══════════════════════════════════════════
+  // sw.js keeps the app shell and the last TLEs, launches and weather;
+  // responses it serves from that store carry X-Cached-At (see cachedAt()).
+  // The header badge says when the app is running on saved data and how old
+  // the oldest of it is.
+  const OfflineMode = {
+    ready: null,          // resolves to the ServiceWorkerRegistration, or null
+    installPrompt: null,
+
+    register() {
+      this.ready = 'serviceWorker' in navigator
+        ? navigator.serviceWorker.register(SW_URL)
+          .then(() => navigator.serviceWorker.ready)
+          .catch(err => {
+            console.warn('Service worker unavailable, no offline mode or background reminders:', err);
+            return null;
+          })
+        : Promise.resolve(null);
+    },
+
+    // When each piece of saved data in use was fetched
+    savedTimes() {
+      const times = [state.weatherCachedAt];
+      if (typeof LaunchTracker !== 'undefined') times.push(LaunchTracker.getCachedAt());
+      state.satellites.filter(sat => sat.tleSource === 'cache').forEach(sat => {
+        const cached = TleCache.get(sat.id);
+        if (cached) times.push(new Date(cached.savedAt));
+      });
+      return times.filter(Boolean);
+    },
+
+    update() {
+      const times = this.savedTimes();
+      const offline = !navigator.onLine;
+      dom.offlineBadge.classList.toggle('hidden', !offline && !times.length);
+      if (!offline && !times.length) return;
+      const oldest = Math.min(...times.map(t => t.getTime()));
+      const age = times.length ? ` — data from ${fmtAge(Date.now() - oldest)} ago` : '';
+      dom.offlineBadge.textContent = `${offline ? '📴 Offline' : '⚠️ Saved data'}${age}`;
+      dom.offlineBadge.title = times.length
+        ? 'Showing the last TLEs, launches and weather saved on this device. Pass times stay good for a few days.'
+        : '';
+    },
+
+    // Back in coverage: fetch whatever is running on saved data
+    reconnect() {
+      this.update();
+      if (state.weatherCachedAt) WeatherChecker.fetch();
+      PassPredictor.refreshStale();
+      if (typeof LaunchTracker !== 'undefined' && LaunchTracker.getCachedAt()) {
+        LaunchTracker.refresh(null, dom.launchPano).then(launchesUpdated);
+      }
+    },
+
+    init() {
+      this.register();
+      window.addEventListener('offline', () => this.update());
+      window.addEventListener('online', () => this.reconnect());
+
+      // Home screen install, offered once the browser says it's possible
+      window.addEventListener('beforeinstallprompt', e => {
+        e.preventDefault();
+        this.installPrompt = e;
+        dom.btnInstall.classList.remove('hidden');
+      });
+      dom.btnInstall.addEventListener('click', async () => {
+        if (!this.installPrompt) return;
+        this.installPrompt.prompt();
+        await this.installPrompt.userChoice;
+        this.installPrompt = null;
+        dom.btnInstall.classList.add('hidden');
+      });
+      window.addEventListener('appinstalled', () => dom.btnInstall.classList.add('hidden'));
+    }
+  };
+
+  // ══════════════════════════════════════════
+  //  SKY TIME CONTROLS — pause, speed up or scrub the sky clock
+  // ══════════════════════════════════════════
+  const TimeControl = {
+    dragging: false,
+    slideTimer: null,
+
+    // Everything drawn for "now" is redrawn for the new instant
+    changed() {
+      tickClock();
+      ISSTracker.fetch();
+      ISSTracker.tick();
+      CompassArrow.update();
+      EventListManager.rebuild();
+      EventListManager.checkLive();
+      updateLaunchStats();
+      if (typeof LaunchTracker !== 'undefined') LaunchTracker.updateMoon(SkyClock.now());
+      updateGroundTrack();
+      this.render();
+    },
+
+    // Passes are predicted from the sky clock — leaving that window re-predicts,
+    // as does coming back to live from a window predicted somewhere else
+    settle() {
+      if (PassPredictor.outOfWindow() || (SkyClock.isLive() && !PassPredictor.realTime)) PassPredictor.predict();
+    },
+
+    fromSlider() {
+      clearTimeout(this.slideTimer);
+      this.slideTimer = null;
+      SkyClock.set(Date.now() + parseInt(dom.timeSlider.value) * 60000);
+    },
+
+    // Sets the sky clock a little before an event's start
+    jumpTo(e) {
+      SkyClock.set(e.sortTime - TIME_JUMP_LEAD_MS);
+      this.settle();
+    },
+
+    // First event in the list that's still to come on the sky clock
+    nextEvent() {
+      const now = SkyClock.nowMs();
+      return state.sortedEvents
+        .filter(e => (e.type !== 'launch' || e.launch.net) && e.sortTime - TIME_JUMP_LEAD_MS > now + 1000)
+        .sort((a, b) => a.sortTime - b.sortTime)[0];
+    },
+
+    fmtOffset(ms) {
+      const m = Math.round(ms / 60000);
+      if (m < 60) return `${m} min`;
+      if (m < 1440) return `${Math.floor(m / 60)} h ${m % 60} min`;
+      return `${Math.floor(m / 1440)} d ${Math.floor((m % 1440) / 60)} h`;
+    },
+
+    render() {
+      const offset = SkyClock.nowMs() - Date.now();
+      const live = SkyClock.isLive();
+      dom.timeSlider.max = state.predictSettings.days * 1440;
+      if (!this.dragging) dom.timeSlider.value = Math.round(offset / 60000);
+      dom.timeReadout.textContent = live
+        ? 'Live'
+        : `${fmtDate(SkyClock.now())} · ${offset < 0 ? '−' : '+'}${this.fmtOffset(Math.abs(offset))}`;
+      dom.btnTimePlay.textContent = SkyClock.paused() ? '▶' : '⏸';
+      dom.btnTimePlay.title = SkyClock.paused() ? 'Resume' : 'Pause';
+      document.querySelectorAll('.time-rate').forEach(btn => {
+        btn.classList.toggle('active', parseFloat(btn.dataset.rate) === SkyClock.rate());
+      });
+      dom.btnTimeNow.classList.toggle('active', live);
+      dom.btnTimeNext.disabled = !this.nextEvent();
+    },
+
+    // Called every second — the offset drifts while paused or running fast
+    tick() {
+      this.render();
+    },
+
+    init() {
+      SkyClock.onChange(() => this.changed());
+      dom.timeSlider.min = -TIME_SLIDER_PAST_MIN;
+      // Every step redraws the list and the star map — follow a drag at a steadier pace
+      dom.timeSlider.addEventListener('input', () => {
+        this.dragging = true;
+        if (this.slideTimer) return;
+        this.slideTimer = setTimeout(() => this.fromSlider(), TIME_SLIDER_THROTTLE_MS);
+      });
+      dom.timeSlider.addEventListener('change', () => {
+        this.dragging = false;
+        this.fromSlider();
+        this.settle();
+      });
+      dom.btnTimePlay.addEventListener('click', () => {
+        if (SkyClock.paused()) SkyClock.play();
+        else SkyClock.pause();
+      });
+      document.querySelectorAll('.time-rate').forEach(btn => {
+        btn.addEventListener('click', () => SkyClock.setRate(parseFloat(btn.dataset.rate)));
+      });
+      dom.btnTimeNow.addEventListener('click', () => {
+        SkyClock.live();
+        this.settle();
+      });
+      dom.btnTimeNext.addEventListener('click', () => {
+        const e = this.nextEvent();
+        if (e) this.jumpTo(e);
+      });
+      this.render();
+    }
+  };
+
+  // ══════════════════════════════════════════
+  //  APP ORCHESTRATOR
+  // ══════════════════════════════════════════
+  const App = {
+    init() {
+      if (!state.vcApiKey) {
+        dom.modal.classList.remove('hidden');
+      } else {
+        this.launch();
+      }
+
+      // Modal events
+      dom.btnSave.addEventListener('click', () => {
+        const key = dom.keyInput.value.trim();
+        if (key) {
+          state.vcApiKey = key;
+          localStorage.setItem('vc_api_key', key);
+        }
+        dom.modal.classList.add('hidden');
+        this.launch();
+      });
+      dom.btnSkip.addEventListener('click', () => {
+        dom.modal.classList.add('hidden');
+        this.launch();
+      });
+
+      // Location buttons
+      dom.btnDetect.addEventListener('click', () => LocationManager.autoDetect());
+      dom.btnSetLoc.addEventListener('click', () => LocationManager.setManual());
+      dom.btnSetZip.addEventListener('click', () => LocationManager.setFromZip());
+      dom.inputZip.addEventListener('keydown', e => { if (e.key === 'Enter') LocationManager.setFromZip(); });
+
+      // Beep / Simulate buttons
+      dom.btnBeep.addEventListener('click', () => RadarBeep.toggle());
+      dom.btnSimulate.addEventListener('click', () => PassReplay.toggle());
+      OfflineMode.init();
+      VoiceGuide.init();
+      Reminders.init();
+      DeepLink.init();
+      TimeControl.init();
+      PassReplay.init();
+      ChartExport.init();
+      ARView.init();
+
+      // Star map slider
+      dom.starmapSlider.addEventListener('input', e => {
+        const val = parseInt(e.target.value);
         dom.starmapVal.textContent = val + '%';
-        if (typeof StarMap !== 'undefined') StarMap.setOpacity(val / 100);
+        if (typeof StarMap !== 'undefined') {
+          StarMap.setOpacity(val / 100);
+          StarMap.setLimitingMagnitude(starLimit(val));
+        }
       });
 
+      // Magnitude limit filter
+      dom.magLimit.value = state.magLimit != null ? String(state.magLimit) : '';
+      dom.magLimit.addEventListener('change', e => {
+        const val = e.target.value;
+        state.magLimit = val === '' ? null : parseFloat(val);
+        if (val === '') localStorage.removeItem('mag_limit');
+        else localStorage.setItem('mag_limit', val);
+        EventListManager.rebuild();
+      });
+
+      // Pass prediction settings
+      dom.inputMinEl.value = state.predictSettings.minEl;
+      dom.inputWindowDays.value = state.predictSettings.days;
+      dom.inputMinDur.value = state.predictSettings.minDuration;
+      dom.inputRefraction.value = state.predictSettings.refraction;
+      Orbit.setAtmosphere(atmosphere());
+      dom.btnApplyPredict.addEventListener('click', () => PassPredictor.applySettings());
+
+      // Transit finder settings
+      dom.inputTransitRadius.value = state.transitSettings.radiusKm;
+      dom.inputTransitDays.value = state.transitSettings.days;
+      dom.btnApplyTransit.addEventListener('click', () => TransitFinder.applySettings());
+      dom.btnTransitToggle.addEventListener('click', () => TransitFinder.toggle());
+      TransitFinder.renderToggle();
+
       // Viewer tab switching
       document.querySelectorAll('.viewer-tab').forEach(tab => {
         tab.addEventListener('click', () => switchView(tab.dataset.view));
       });
 
-      // Filter buttons
-      document.querySelectorAll('.filter-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-          document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
-          btn.classList.add('active');
-          state.activeFilter = btn.dataset.filter;
-          EventListManager.rebuild();
-
-          // Auto-sync viewer tab with filter selection
-          const viewMap = { pass: 'radar', launch: 'panorama' };
-          const targetView = viewMap[btn.dataset.filter];
-          if (targetView) switchView(targetView);
-        });
+      // Filter buttons (per-satellite ones are added by SatelliteCatalog)
+      document.querySelectorAll('.event-filters .filter-btn').forEach(btn => {
+        btn.addEventListener('click', () => setFilter(btn.dataset.filter));
       });
 
       // Sort buttons
-      document.querySelectorAll('.sort-btn').forEach(btn => {
+      document.querySelectorAll('.sort-btn[data-sort]').forEach(btn => {
         btn.addEventListener('click', () => {
-          document.querySelectorAll('.sort-btn').forEach(b => b.classList.remove('active'));
+          document.querySelectorAll('.sort-btn[data-sort]').forEach(b => b.classList.remove('active'));
           btn.classList.add('active');
           state.sortMode = btn.dataset.sort;
           EventListManager.rebuild();
         });
       });
+      dom.btnExportIcs.addEventListener('click', () => CalendarExport.exportList());
     },
 
     launch() {
       tickClock();
       setInterval(() => {
         tickClock();
+        ISSTracker.tick();
         CompassArrow.update();
+        updateLaunchStats();
+        TimeControl.tick();
       }, 1000);
 
-      dom.lightPoll.textContent = `Bortle ${BORTLE.class}`;
+      // Light pollution sets how deep the star map goes
+      dom.inputBortle.innerHTML = BORTLE_LABELS.slice(1).map((label, i) => `<option value="${i + 1}">Bortle ${i + 1} · ${label}</option>`).join('');
+      const showBortle = () => {
+        dom.inputBortle.value = state.bortle;
+        dom.bortleDesc.textContent = `Stars to mag ${BORTLE_NELM[state.bortle].toFixed(1)}`;
+      };
+      showBortle();
+      dom.inputBortle.addEventListener('change', () => {
+        state.bortle = parseInt(dom.inputBortle.value, 10);
+        localStorage.setItem('bortle_class', String(state.bortle));
+        showBortle();
+        if (typeof StarMap !== 'undefined') StarMap.setLimitingMagnitude(starLimit(parseInt(dom.starmapSlider.value)));
+      });
 
-      LocationManager.init();
+      const link = DeepLink.parse();
+      LocationManager.init(link.loc);
+      HorizonMask.init();
+      SatelliteCatalog.init();
 
       ISSTracker.start();
       PassPredictor.init();
@@ -1263,29 +4074,44 @@
       if (typeof StarMap !== 'undefined') {
         const radarRing = document.querySelector('.radar-ring');
         StarMap.init(radarRing);
-        StarMap.render(new Date(), OBSERVER.lat, OBSERVER.lon, state.heading);
+        StarMap.setLimitingMagnitude(starLimit(parseInt(dom.starmapSlider.value)));
+        StarMap.render(SkyClock.now(), OBSERVER.lat, OBSERVER.lon, state.heading);
       }
 
       // Launch tracker (panorama)
       if (typeof LaunchTracker !== 'undefined') {
-        LaunchTracker.init(OBSERVER.lat, OBSERVER.lon, null, dom.launchPano);
+        LaunchTracker.init(OBSERVER.lat, OBSERVER.lon, null, dom.launchPano).then(launchesUpdated);
       }
 
+      // Ground track map — picking a spot on it moves the observer
+      if (typeof GroundTrack !== 'undefined') {
+        GroundTrack.init(dom.groundMap, (lat, lon) => LocationManager.setFromMap(lat, lon));
+      }
+
+      // A shared link's view, filter, sort and event (its location is already in)
+      DeepLink.restore(link, false);
+
       // Live pass detection every 5s
       setInterval(() => EventListManager.checkLive(), 5000);
 
+      // The panorama Moon drifts ~15° an hour; saved data ages
+      setInterval(() => {
+        if (typeof LaunchTracker !== 'undefined') LaunchTracker.updateMoon(SkyClock.now());
+        OfflineMode.update();
+      }, 60 * 1000);
+
       // Refresh weather every 15 min, launches every 30 min
       setInterval(() => WeatherChecker.fetch(), 15 * 60 * 1000);
       setInterval(() => {
         if (typeof LaunchTracker !== 'undefined') {
-          LaunchTracker.refresh(null, dom.launchPano);
-          EventListManager.rebuild();
+          LaunchTracker.refresh(null, dom.launchPano).then(launchesUpdated);
         }
       }, 30 * 60 * 1000);
 
       // Auto-detect which view to show: if a pass is live, show radar
-      setTimeout(() => {
-        const now = Date.now();
+      // (unless a shared link chose one)
+      if (!link.view) setTimeout(() => {
+        const now = SkyClock.nowMs();
         const livePass = state.passes.find(p =>
           now >= p.riseTime.getTime() && now <= p.setTime.getTime()
         );
@@ -1317,11 +4143,15 @@
       if (dom.statsBarIss) dom.statsBarIss.style.display = '';
       if (dom.statsBarLaunch) dom.statsBarLaunch.style.display = 'none';
     }
+    if (viewName === 'map') updateGroundTrack();
+    if (viewName !== 'ar') ARView.stop(); // the camera only runs while it's on show
 
-    // Auto-sync event filter with viewer tab
-    const filterMap = { radar: 'pass', panorama: 'launch' };
+    // Auto-sync event filter with viewer tab (a per-satellite filter already counts as 'pass')
+    const filterMap = { radar: 'pass', panorama: 'launch', map: 'pass', ar: 'pass' };
     const targetFilter = filterMap[viewName];
-    if (targetFilter && state.activeFilter !== targetFilter) {
+    const alreadyPasses = targetFilter === 'pass' && state.activeFilter.startsWith('sat:');
+    const showingTransits = viewName === 'map' && state.activeFilter === 'transit';
+    if (targetFilter && state.activeFilter !== targetFilter && !alreadyPasses && !showingTransits) {
       state.activeFilter = targetFilter;
       document.querySelectorAll('.filter-btn').forEach(b => {
         b.classList.toggle('active', b.dataset.filter === targetFilter);
@@ -1330,6 +4160,45 @@
     }
   }
 
+  // ── EVENT FILTER ──────────────────────────
+  function setFilter(filter) {
+    state.activeFilter = filter;
+    document.querySelectorAll('.filter-btn').forEach(b => b.classList.toggle('active', b.dataset.filter === filter));
+
+    // Picking a satellite's passes also makes it the tracked object
+    if (filter.startsWith('sat:')) SatelliteCatalog.select(parseInt(filter.slice(4), 10));
+    EventListManager.rebuild();
+
+    // Auto-sync viewer tab with filter selection
+    const targetView = filter === 'launch' ? 'panorama'
+      : filter === 'transit' ? 'map'
+      : (filter === 'pass' || filter.startsWith('sat:')) ? 'radar' : null;
+    if (targetView) switchView(targetView);
+  }
+
+  // ── LAUNCH DATA ───────────────────────────
+  // After LaunchTracker fetches: new times for the list (and reminders), and
+  // maybe an offline copy for the badge
+  function launchesUpdated() {
+    EventListManager.rebuild();
+    OfflineMode.update();
+  }
+
+  // ── GROUND TRACK MAP ──────────────────────
+  // Redrawn with each position update, but only while its tab is showing
+  function updateGroundTrack() {
+    if (typeof GroundTrack === 'undefined' || !document.getElementById('view-map').classList.contains('active')) return;
+    const sat = SatelliteCatalog.selected();
+    GroundTrack.render({
+      date: SkyClock.now(),
+      observer: OBSERVER,
+      position: state.issPos,
+      satrec: state.satrec,
+      color: sat.color,
+      name: sat.name,
+    });
+  }
+
   // ── LAUNCH STATS UPDATER ────────────────────
   function updateLaunchStats() {
     if (typeof LaunchTracker === 'undefined') return;
@@ -1340,7 +4209,7 @@
     }
 
     // Pick the next upcoming launch
-    const now = Date.now();
+    const now = SkyClock.nowMs();
     const next = launches.find(l => l.net && l.net.getTime() > now) || launches[0];
     if (!next) return;
 
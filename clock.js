@@ -0,0 +1,85 @@
+/* ────────────────────────────────────────────
+   ISS Hunter — Sky Clock
+   The one instant everything in the sky is
+   drawn for: the radar blip, star map, Sun,
+   live-pass detection and launch countdowns.
+   Follows real time until it's paused, sped
+   up or moved to another moment.
+
+   Network ages, reminders and animations keep
+   to Date.now() — they happen in real time
+   whatever the sky is showing.
+   ──────────────────────────────────────────── */
+
+const SkyClock = (() => {
+    'use strict';
+
+    // Sky time = skyAt + (real now − realAt) × rate
+    let realAt = Date.now();
+    let skyAt = realAt;
+    let rate = 1;        // sky seconds per real second — 0 while paused
+    let lastRate = 1;    // what play() resumes at
+    const listeners = [];
+
+    function nowMs() {
+        return skyAt + (Date.now() - realAt) * rate;
+    }
+
+    // Re-anchors at the current instant so a rate change doesn't jump
+    function rebase(ms = nowMs()) {
+        realAt = Date.now();
+        skyAt = ms;
+    }
+
+    function changed() {
+        listeners.forEach(fn => fn());
+    }
+
+    return {
+        nowMs,
+        now: () => new Date(nowMs()),
+        rate: () => rate,
+        paused: () => rate === 0,
+
+        // In step with real time (within a second, at 1×)
+        isLive() {
+            return rate === 1 && Math.abs(nowMs() - Date.now()) < 1000;
+        },
+
+        // Moves to an instant, optionally at a new rate in the same change
+        set(date, r) {
+            rebase(+date);
+            if (r !== undefined) {
+                rate = r;
+                if (r) lastRate = r;
+            }
+            changed();
+        },
+
+        setRate(r) {
+            rebase();
+            rate = r;
+            if (r) lastRate = r;
+            changed();
+        },
+
+        pause() {
+            this.setRate(0);
+        },
+
+        play() {
+            this.setRate(lastRate);
+        },
+
+        // Back to real time at 1×
+        live() {
+            rebase(Date.now());
+            rate = lastRate = 1;
+            changed();
+        },
+
+        onChange(fn) {
+            listeners.push(fn);
+        },
+    };
+})();
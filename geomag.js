@@ -0,0 +1,201 @@
+/* ────────────────────────────────────────────
+   ISS Hunter — Geomagnetic Module
+   Magnetic declination from the World
+   Magnetic Model (WMM2025, NOAA/BGS), so
+   compass headings can be turned from
+   magnetic to true north. Coefficients are
+   bundled — no network needed at a dark site.
+   ──────────────────────────────────────────── */
+
+const Geomag = (() => {
+    'use strict';
+
+    const DEG = 180 / Math.PI;
+    const RAD = Math.PI / 180;
+
+    // ── WMM2025 (epoch 2025.0, valid to 2030.0) ──
+    // [n, m, g, h, ġ, ḣ] — Schmidt semi-normalised Gauss coefficients in nT
+    // and their secular variation in nT/year
+    const EPOCH = 2025.0;
+    const VALID_UNTIL = 2030.0;
+    const COEFFS = [
+        [1, 0, -29351.8, 0.0, 12.0, 0.0],
+        [1, 1, -1410.8, 4545.4, 9.7, -21.5],
+        [2, 0, -2556.6, 0.0, -11.6, 0.0],
+        [2, 1, 2951.1, -3133.6, -5.2, -27.7],
+        [2, 2, 1649.3, -815.1, -8.0, -12.1],
+        [3, 0, 1361.0, 0.0, -1.3, 0.0],
+        [3, 1, -2404.1, -56.6, -4.2, 4.0],
+        [3, 2, 1243.8, 237.5, 0.4, -0.3],
+        [3, 3, 453.6, -549.5, -15.6, -4.1],
+        [4, 0, 895.0, 0.0, -1.6, 0.0],
+        [4, 1, 799.5, 278.6, -2.4, -1.1],
+        [4, 2, 55.7, -133.9, -6.0, 4.1],
+        [4, 3, -281.1, 212.0, 5.6, 1.6],
+        [4, 4, 12.1, -375.6, -7.0, -4.4],
+        [5, 0, -233.2, 0.0, 0.6, 0.0],
+        [5, 1, 368.9, 45.4, 1.4, -0.5],
+        [5, 2, 187.2, 220.2, 0.0, 2.2],
+        [5, 3, -138.7, -122.9, 0.6, 0.4],
+        [5, 4, -142.0, 43.0, 2.2, 1.7],
+        [5, 5, 20.9, 106.1, 0.9, 1.9],
+        [6, 0, 64.4, 0.0, -0.2, 0.0],
+        [6, 1, 63.8, -18.4, -0.4, 0.3],
+        [6, 2, 76.9, 16.8, 0.9, -1.6],
+        [6, 3, -115.7, 48.8, 1.2, -0.4],
+        [6, 4, -40.9, -59.8, -0.9, 0.9],
+        [6, 5, 14.9, 10.9, 0.3, 0.7],
+        [6, 6, -60.7, 72.7, 0.9, 0.9],
+        [7, 0, 79.5, 0.0, -0.0, 0.0],
+        [7, 1, -77.0, -48.9, -0.1, 0.6],
+        [7, 2, -8.8, -14.4, -0.1, 0.5],
+        [7, 3, 59.3, -1.0, 0.5, -0.8],
+        [7, 4, 15.8, 23.4, -0.1, 0.0],
+        [7, 5, 2.5, -7.4, -0.8, -1.0],
+        [7, 6, -11.1, -25.1, -0.8, 0.6],
+        [7, 7, 14.2, -2.3, 0.8, -0.2],
+        [8, 0, 23.2, 0.0, -0.1, 0.0],
+        [8, 1, 10.8, 7.1, 0.2, -0.2],
+        [8, 2, -17.5, -12.6, 0.0, 0.5],
+        [8, 3, 2.0, 11.4, 0.5, -0.4],
+        [8, 4, -21.7, -9.7, -0.1, 0.4],
+        [8, 5, 16.9, 12.7, 0.3, -0.5],
+        [8, 6, 15.0, 0.7, 0.2, -0.6],
+        [8, 7, -16.8, -5.2, -0.0, 0.3],
+        [8, 8, 0.9, 3.9, 0.2, 0.2],
+        [9, 0, 4.6, 0.0, -0.0, 0.0],
+        [9, 1, 7.8, -24.8, -0.1, -0.3],
+        [9, 2, 3.0, 12.2, 0.1, 0.3],
+        [9, 3, -0.2, 8.3, 0.3, -0.3],
+        [9, 4, -2.5, -3.3, -0.3, 0.3],
+        [9, 5, -13.1, -5.2, 0.0, 0.2],
+        [9, 6, 2.4, 7.2, 0.3, -0.1],
+        [9, 7, 8.6, -0.6, -0.1, -0.2],
+        [9, 8, -8.7, 0.8, 0.1, 0.4],
+        [9, 9, -12.9, 10.0, -0.1, 0.1],
+        [10, 0, -1.3, 0.0, 0.1, 0.0],
+        [10, 1, -6.4, 3.3, 0.0, 0.0],
+        [10, 2, 0.2, 0.0, 0.1, -0.0],
+        [10, 3, 2.0, 2.4, 0.1, -0.2],
+        [10, 4, -1.0, 5.3, -0.0, 0.1],
+        [10, 5, -0.6, -9.1, -0.3, -0.1],
+        [10, 6, -0.9, 0.4, 0.0, 0.1],
+        [10, 7, 1.5, -4.2, -0.1, 0.0],
+        [10, 8, 0.9, -3.8, -0.1, -0.1],
+        [10, 9, -2.7, 0.9, -0.0, 0.2],
+        [10, 10, -3.9, -9.1, -0.0, -0.0],
+        [11, 0, 2.9, 0.0, 0.0, 0.0],
+        [11, 1, -1.5, 0.0, -0.0, -0.0],
+        [11, 2, -2.5, 2.9, 0.0, 0.1],
+        [11, 3, 2.4, -0.6, 0.0, -0.0],
+        [11, 4, -0.6, 0.2, 0.0, 0.1],
+        [11, 5, -0.1, 0.5, -0.1, -0.0],
+        [11, 6, -0.6, -0.3, 0.0, -0.0],
+        [11, 7, -0.1, -1.2, -0.0, 0.1],
+        [11, 8, 1.1, -1.7, -0.1, -0.0],
+        [11, 9, -1.0, -2.9, -0.1, 0.0],
+        [11, 10, -0.2, -1.8, -0.1, 0.0],
+        [11, 11, 2.6, -2.3, -0.1, 0.0],
+        [12, 0, -2.0, 0.0, 0.0, 0.0],
+        [12, 1, -0.2, -1.3, 0.0, -0.0],
+        [12, 2, 0.3, 0.7, -0.0, 0.0],
+        [12, 3, 1.2, 1.0, -0.0, -0.1],
+        [12, 4, -1.3, -1.4, -0.0, 0.1],
+        [12, 5, 0.6, -0.0, -0.0, -0.0],
+        [12, 6, 0.6, 0.6, 0.1, -0.0],
+        [12, 7, 0.5, -0.1, -0.0, -0.0],
+        [12, 8, -0.1, 0.8, 0.0, 0.0],
+        [12, 9, -0.4, 0.1, 0.0, -0.0],
+        [12, 10, -0.2, -1.0, -0.1, -0.0],
+        [12, 11, -1.3, 0.1, -0.0, 0.0],
+        [12, 12, -0.7, 0.2, -0.1, -0.1],
+    ];
+    const N_MAX = 12;
+
+    const REF_RADIUS = 6371.2;               // km — the model's reference sphere
+    const WGS84_A = 6378.137;                // km
+    const WGS84_F = 1 / 298.257223563;
+    const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+
+    function decimalYear(date) {
+        const y = date.getUTCFullYear();
+        const start = Date.UTC(y, 0, 1);
+        return y + (date.getTime() - start) / (Date.UTC(y + 1, 0, 1) - start);
+    }
+
+    // Schmidt semi-normalised associated Legendre functions P[n][m](cos θ) and
+    // their θ-derivatives, θ = geocentric colatitude
+    function legendre(theta) {
+        const c = Math.cos(theta);
+        const s = Math.sin(theta);
+        const P = [[1]];
+        const dP = [[0]];
+        for (let n = 1; n <= N_MAX; n++) {
+            P[n] = [];
+            dP[n] = [];
+            // Sectoral term from the one before it
+            const k = n === 1 ? 1 : Math.sqrt((2 * n - 1) / (2 * n));
+            P[n][n] = k * s * P[n - 1][n - 1];
+            dP[n][n] = k * (c * P[n - 1][n - 1] + s * dP[n - 1][n - 1]);
+            // The rest by the three-term recursion in n
+            for (let m = 0; m < n; m++) {
+                const a = (2 * n - 1) / Math.sqrt(n * n - m * m);
+                const b = n - 2 >= m ? Math.sqrt(((n - 1) * (n - 1) - m * m) / (n * n - m * m)) : 0;
+                const P2 = n - 2 >= m ? P[n - 2][m] : 0;
+                const dP2 = n - 2 >= m ? dP[n - 2][m] : 0;
+                P[n][m] = a * c * P[n - 1][m] - b * P2;
+                dP[n][m] = a * (c * dP[n - 1][m] - s * P[n - 1][m]) - b * dP2;
+            }
+        }
+        return { P, dP };
+    }
+
+    // Field at a geodetic position: { x: north, y: east, z: down } in nT
+    function field(latDeg, lonDeg, altKm = 0, date = new Date()) {
+        // Geodetic → geocentric spherical
+        const lat = latDeg * RAD;
+        const rc = WGS84_A / Math.sqrt(1 - WGS84_E2 * Math.sin(lat) ** 2);
+        const p = (rc + altKm) * Math.cos(lat);
+        const z = (rc * (1 - WGS84_E2) + altKm) * Math.sin(lat);
+        const r = Math.hypot(p, z);
+        const latC = Math.asin(z / r);
+        const theta = Math.PI / 2 - latC;
+        const lon = lonDeg * RAD;
+
+        // Held at the end of the model's life rather than extrapolated further
+        const dt = Math.min(decimalYear(date), VALID_UNTIL) - EPOCH;
+        const { P, dP } = legendre(theta);
+        const sinT = Math.max(Math.sin(theta), 1e-9);   // poles: east component undefined anyway
+
+        let br = 0, bt = 0, bp = 0;
+        COEFFS.forEach(([n, m, g0, h0, gd, hd]) => {
+            const g = g0 + gd * dt;
+            const h = h0 + hd * dt;
+            const ratio = (REF_RADIUS / r) ** (n + 2);
+            const cosM = Math.cos(m * lon);
+            const sinM = Math.sin(m * lon);
+            const gh = g * cosM + h * sinM;
+            br += (n + 1) * ratio * gh * P[n][m];
+            bt -= ratio * gh * dP[n][m];
+            bp += ratio * m * (g * sinM - h * cosM) * P[n][m] / sinT;
+        });
+
+        // Geocentric north/down → geodetic
+        const xC = -bt;
+        const zC = -br;
+        const psi = latC - lat;
+        return {
+            x: xC * Math.cos(psi) - zC * Math.sin(psi),
+            y: bp,
+            z: xC * Math.sin(psi) + zC * Math.cos(psi),
+        };
+    }
+
+    // Degrees east of true north that a compass needle points (negative = west)
+    function declination(latDeg, lonDeg, altKm = 0, date = new Date()) {
+        const f = field(latDeg, lonDeg, altKm, date);
+        return Math.atan2(f.y, f.x) * DEG;
+    }
+
+    return { field, declination, EPOCH, VALID_UNTIL };
+})();
@@ -0,0 +1,316 @@
+/* ────────────────────────────────────────────
+   ISS Hunter — Ground Track Module
+   World map with the satellite's position,
+   past/next orbit, visibility footprint,
+   day/night terminator, the observer and
+   Sun/Moon transit centrelines.
+   ──────────────────────────────────────────── */
+
+const GroundTrack = (() => {
+    'use strict';
+
+    const DEG = 180 / Math.PI;
+    const RAD = Math.PI / 180;
+    const R_EARTH = 6371;
+
+    // Equirectangular, 2 px per degree
+    const MAP_W = 720;
+    const MAP_H = 360;
+
+    // Natural Earth 1:110m land polygons — small enough to fetch on demand
+    const LAND_URL = 'https://cdn.jsdelivr.net/gh/nvkelso/natural-earth-vector@v5.1.2/geojson/ne_110m_land.geojson';
+
+    // Sun altitudes bounding day, civil, nautical and astronomical twilight.
+    // Each band is drawn on top of the last so night darkens progressively.
+    const TWILIGHT = [0, -6, -12, -18];
+    const TRACK_STEP = 30;   // seconds between ground-track samples
+    const INSET = 170;       // transit close-up size (px)
+    const KM_PER_DEG = 111.32;
+
+    // ── RENDERING STATE ──
+    let container = null;
+    let onPick = null;
+    let landPath = null;     // SVG path data once loaded
+    let night = { minute: null, paths: [] };
+    let pick = null;         // { lat, lon } awaiting confirmation
+    let lastArgs = null;
+    let transit = null;      // transit whose centreline is on show
+
+    function project(lat, lon) {
+        return { x: (lon + 180) * (MAP_W / 360), y: (90 - lat) * (MAP_H / 180) };
+    }
+
+    // Path data for a lat/lon polyline, broken where it wraps the antimeridian
+    function trackPath(points) {
+        let d = '';
+        let prev = null;
+        points.forEach(p => {
+            const xy = project(p.lat, p.lon);
+            const jump = !prev || Math.abs(p.lon - prev.lon) > 180;
+            d += `${jump ? 'M' : 'L'}${xy.x.toFixed(1)},${xy.y.toFixed(1)}`;
+            prev = p;
+        });
+        return d;
+    }
+
+    function subPoint(satrec, date) {
+        const pv = satellite.propagate(satrec, date);
+        if (!pv.position) return null;
+        const geo = satellite.eciToGeodetic(pv.position, satellite.gstime(date));
+        return { lat: geo.latitude * DEG, lon: geo.longitude * DEG, alt: geo.height };
+    }
+
+    // Satellite names come from pasted TLEs and CelesTrak — text, not markup
+    function escapeText(text) {
+        return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    // ── LAND ──
+    async function loadLand() {
+        try {
+            const r = await fetch(LAND_URL);
+            if (!r.ok) throw new Error(r.status);
+            const geo = await r.json();
+            landPath = geo.features.map(f => {
+                const polys = f.geometry.type === 'Polygon' ? [f.geometry.coordinates] : f.geometry.coordinates;
+                return polys.map(rings => rings.map(ring =>
+                    trackPath(ring.map(([lon, lat]) => ({ lat, lon }))) + 'Z').join('')).join('');
+            }).join('');
+        } catch (e) {
+            console.warn('World map outline unavailable, drawing graticule only:', e);
+            landPath = '';
+        }
+        if (lastArgs) render(lastArgs);
+    }
+
+    // ── DAY / NIGHT ──
+    // One path per twilight threshold, built column by column: each 1°
+    // meridian strip is sampled every 5° of latitude with Orbit.sunAltitude()
+    // and the threshold crossings are bisected to ~0.1°.
+    function nightPaths(date) {
+        const minute = Math.floor(date.getTime() / 60000);
+        if (night.minute === minute) return night.paths;
+
+        const paths = TWILIGHT.map(alt => {
+            let d = '';
+            for (let lon = -179.5; lon < 180; lon += 1) {
+                const dark = lat => Orbit.sunAltitude(date, lat, lon) < alt;
+                const edge = (a, b) => {
+                    const da = dark(a);
+                    for (let i = 0; i < 6; i++) {
+                        const m = (a + b) / 2;
+                        if (dark(m) === da) a = m; else b = m;
+                    }
+                    return (a + b) / 2;
+                };
+                let start = dark(90) ? 90 : null;
+                for (let lat = 90; lat > -90; lat -= 5) {
+                    const a = dark(lat);
+                    const b = dark(lat - 5);
+                    if (a === b) continue;
+                    const cross = edge(lat, lat - 5);
+                    if (b) start = cross;
+                    else {
+                        d += strip(lon, start, cross);
+                        start = null;
+                    }
+                }
+                if (start !== null) d += strip(lon, start, -90);
+            }
+            return d;
+        });
+        night = { minute, paths };
+        return paths;
+    }
+
+    function strip(lon, latTop, latBottom) {
+        const a = project(latTop, lon - 0.5);
+        const b = project(latBottom, lon + 0.5);
+        return `M${a.x},${a.y.toFixed(1)}H${b.x}V${b.y.toFixed(1)}H${a.x}Z`;
+    }
+
+    function subsolarPoint(date) {
+        const sun = Orbit.sunEci(date);
+        const lon = (Math.atan2(sun.y, sun.x) - satellite.gstime(date)) * DEG;
+        return {
+            lat: Math.asin(sun.z / Math.hypot(sun.x, sun.y, sun.z)) * DEG,
+            lon: ((lon + 540) % 360) - 180,
+        };
+    }
+
+    // ── FOOTPRINT ──
+    // Ground circle from which the satellite is above the horizon
+    function footprint(lat, lon, altKm) {
+        const lambda = Math.acos(R_EARTH / (R_EARTH + altKm));
+        const phi1 = lat * RAD;
+        const pts = [];
+        for (let b = 0; b <= 360; b += 5) {
+            const brg = b * RAD;
+            const phi2 = Math.asin(Math.sin(phi1) * Math.cos(lambda) + Math.cos(phi1) * Math.sin(lambda) * Math.cos(brg));
+            const dLon = Math.atan2(Math.sin(brg) * Math.sin(lambda) * Math.cos(phi1), Math.cos(lambda) - Math.sin(phi1) * Math.sin(phi2));
+            pts.push({ lat: phi2 * DEG, lon: ((lon + dLon * DEG + 540) % 360) - 180 });
+        }
+        return pts;
+    }
+
+    // ── TRANSIT CENTRELINE ──
+    // The centreline is only a few km wide, so besides the world-scale line
+    // it gets a close-up around the observer, scaled to fit the nearest point
+    function transitInset(observer) {
+        const x0 = MAP_W - INSET - 8;
+        const y0 = 8;
+        const span = Math.max(40, Math.ceil(transit.closest.distance * 2.6 / 10) * 10); // km across
+        const scale = INSET / span;
+        const toXY = p => {
+            const dLon = ((p.lon - observer.lon + 540) % 360) - 180;
+            return {
+                x: x0 + INSET / 2 + dLon * KM_PER_DEG * Math.cos(observer.lat * RAD) * scale,
+                y: y0 + INSET / 2 - (p.lat - observer.lat) * KM_PER_DEG * scale,
+            };
+        };
+        const line = transit.centreline.map((p, i) => {
+            const xy = toXY(p);
+            return `${i ? 'L' : 'M'}${xy.x.toFixed(1)},${xy.y.toFixed(1)}`;
+        }).join('');
+        const c = toXY(transit.closest);
+        const o = toXY(observer);
+        return `
+          <g class="gm-inset">
+            <clipPath id="gm-inset-clip"><rect x="${x0}" y="${y0}" width="${INSET}" height="${INSET}"/></clipPath>
+            <rect x="${x0}" y="${y0}" width="${INSET}" height="${INSET}" class="gm-inset-bg"/>
+            <g clip-path="url(#gm-inset-clip)">
+              <path d="${line}" class="gm-centreline gm-${transit.body}"/>
+              <line x1="${o.x}" y1="${o.y}" x2="${c.x.toFixed(1)}" y2="${c.y.toFixed(1)}" class="gm-drive"/>
+              <circle cx="${c.x.toFixed(1)}" cy="${c.y.toFixed(1)}" r="4" class="gm-closest gm-${transit.body}"/>
+              <circle cx="${o.x}" cy="${o.y}" r="3" class="gm-inset-observer"/>
+            </g>
+            <text x="${x0 + 6}" y="${y0 + INSET - 6}" class="gm-inset-label">${span} km across</text>
+          </g>`;
+    }
+
+    function showTransit(t) {
+        transit = t;
+        if (lastArgs) render(lastArgs);
+    }
+
+    // ── RENDER ──
+    // args: { date, observer, position: { latitude, longitude, altitude },
+    //         satrec, color, name }
+    function render(args) {
+        if (!container) return;
+        lastArgs = args;
+        const { date, observer, position, satrec, color, name } = args;
+
+        let grid = '';
+        for (let lon = -150; lon <= 150; lon += 30) {
+            const x = project(0, lon).x;
+            grid += `<line x1="${x}" y1="0" x2="${x}" y2="${MAP_H}"/>`;
+        }
+        for (let lat = -60; lat <= 60; lat += 30) {
+            const y = project(lat, 0).y;
+            grid += `<line x1="0" y1="${y}" x2="${MAP_W}" y2="${y}"${lat === 0 ? ' class="gm-equator"' : ''}/>`;
+        }
+
+        // Past and next orbit from the TLE
+        let past = '';
+        let next = '';
+        if (satrec) {
+            const period = 2 * Math.PI / satrec.no * 60; // seconds
+            const t0 = date.getTime();
+            const sample = (from, to) => {
+                const pts = [];
+                for (let s = from; s <= to; s += TRACK_STEP) {
+                    const p = subPoint(satrec, new Date(t0 + s * 1000));
+                    if (p) pts.push(p);
+                }
+                return pts;
+            };
+            past = trackPath(sample(-period, 0));
+            next = trackPath(sample(0, period));
+        }
+
+        let sat = '';
+        if (position) {
+            const xy = project(position.latitude, position.longitude);
+            const fp = footprint(position.latitude, position.longitude, position.altitude);
+            sat = `
+              <path class="gm-footprint" d="${trackPath(fp)}" stroke="${color}"/>
+              <circle cx="${xy.x}" cy="${xy.y}" r="5" fill="${color}" class="gm-sat"/>
+              <text x="${xy.x + 8}" y="${xy.y - 6}" class="gm-label" fill="${color}">${escapeText(name)}</text>`;
+        }
+
+        const subsolar = subsolarPoint(date);
+        const sun = project(subsolar.lat, subsolar.lon);
+        const obs = project(observer.lat, observer.lon);
+        const pickXY = pick ? project(pick.lat, pick.lon) : null;
+        const closest = transit ? transit.closest : null;
+
+        container.innerHTML = `
+          <svg class="ground-map-svg" viewBox="0 0 ${MAP_W} ${MAP_H}" preserveAspectRatio="xMidYMid meet">
+            <rect width="${MAP_W}" height="${MAP_H}" class="gm-ocean"/>
+            ${landPath ? `<path class="gm-land" d="${landPath}"/>` : ''}
+            <g class="gm-grid">${grid}</g>
+            ${nightPaths(date).map(d => `<path class="gm-night" d="${d}"/>`).join('')}
+            <circle cx="${sun.x}" cy="${sun.y}" r="6" class="gm-sun"/>
+            <path class="gm-track gm-past" d="${past}" stroke="${color}"/>
+            <path class="gm-track" d="${next}" stroke="${color}"/>
+            ${sat}
+            <g class="gm-observer">
+              <circle cx="${obs.x}" cy="${obs.y}" r="4"/>
+              <line x1="${obs.x - 8}" y1="${obs.y}" x2="${obs.x + 8}" y2="${obs.y}"/>
+              <line x1="${obs.x}" y1="${obs.y - 8}" x2="${obs.x}" y2="${obs.y + 8}"/>
+            </g>
+            ${pickXY ? `<circle cx="${pickXY.x}" cy="${pickXY.y}" r="5" class="gm-pick"/>` : ''}
+            ${transit ? `<path class="gm-centreline gm-${transit.body}" d="${trackPath(transit.centreline)}"/>` : ''}
+            ${transit ? transitInset(observer) : ''}
+          </svg>
+          <div class="gm-bar">
+            ${pick
+                ? `<span class="mono">📍 ${pick.lat.toFixed(2)}°, ${pick.lon.toFixed(2)}°</span>
+                   <button class="btn btn-primary btn-sm gm-pick-set">Set as my location</button>
+                   <button class="btn btn-ghost btn-sm gm-pick-cancel">Cancel</button>`
+                : closest
+                ? `<span class="mono">${transit.body === 'sun' ? '🌞' : '🌙'} Centreline ${closest.lat.toFixed(4)}°, ${closest.lon.toFixed(4)}° · ${Math.round(closest.distance)} km away · ${closest.time.toLocaleTimeString('en-US', { hour12: false })}</span>
+                   <button class="btn btn-primary btn-sm gm-transit-go">Set as my location</button>
+                   <button class="btn btn-ghost btn-sm gm-transit-hide">Hide</button>`
+                : '<span class="gm-hint">Solid: next orbit · dashed: last orbit · ring: where it\'s above the horizon · tap the map to move your location</span>'}
+          </div>`;
+
+        container.querySelector('svg').addEventListener('click', e => {
+            const rect = e.currentTarget.getBoundingClientRect();
+            // The viewBox keeps its 2:1 aspect inside the element
+            const scale = Math.min(rect.width / MAP_W, rect.height / MAP_H);
+            const x = (e.clientX - rect.left - (rect.width - MAP_W * scale) / 2) / scale;
+            const y = (e.clientY - rect.top - (rect.height - MAP_H * scale) / 2) / scale;
+            if (x < 0 || x > MAP_W || y < 0 || y > MAP_H) return;
+            pick = { lat: 90 - y * (180 / MAP_H), lon: x * (360 / MAP_W) - 180 };
+            render(lastArgs);
+        });
+        if (pick) {
+            container.querySelector('.gm-pick-set').addEventListener('click', () => {
+                const { lat, lon } = pick;
+                pick = null;
+                if (onPick) onPick(lat, lon);
+            });
+            container.querySelector('.gm-pick-cancel').addEventListener('click', () => {
+                pick = null;
+                render(lastArgs);
+            });
+        } else if (transit) {
+            container.querySelector('.gm-transit-go').addEventListener('click', () => {
+                const { lat, lon } = closest;
+                transit = null;
+                if (onPick) onPick(lat, lon);
+            });
+            container.querySelector('.gm-transit-hide').addEventListener('click', () => showTransit(null));
+        }
+    }
+
+    function init(el, pickHandler) {
+        container = el;
+        onPick = pickHandler;
+        loadLand();
+    }
+
+    return { init, render, showTransit };
+})();
@@ -89,6 +89,7 @@ const LaunchTracker = (() => {
 
     // ── STATE ──────────────────────────────────
     let launches = [];
+    let cachedAt = null;   // when the service worker saved the launch list we're showing offline
     let observer = { lat: 0, lon: 0 };
     let simRaf = null;
     let simulating = false;
@@ -191,6 +192,8 @@ const LaunchTracker = (() => {
             const r = await fetch(url);
             if (!r.ok) throw new Error(`HTTP ${r.status}`);
             const data = await r.json();
+            const saved = r.headers.get('X-Cached-At');
+            cachedAt = saved ? new Date(saved) : null;
 
             launches = (data.results || [])
                 .filter(l => l.pad && l.pad.latitude && l.pad.longitude)
@@ -288,7 +291,7 @@ const LaunchTracker = (() => {
     }
 
     function formatCountdown(date) {
-        const diff = date.getTime() - Date.now();
+        const diff = date.getTime() - SkyClock.nowMs();
         if (diff < 0) {
             const ago = Math.abs(diff);
             if (ago < 3600000) return `Launched ${Math.round(ago / 60000)}m ago`;
@@ -386,7 +389,10 @@ const LaunchTracker = (() => {
           ${generateGrid()}
 
           <!-- Compass labels -->
-          ${generateCompassLabels()}`;
+          ${generateCompassLabels()}
+
+          <!-- Moon -->
+          <g class="pano-moon">${generateMoon()}</g>`;
 
         // ── Draw trajectory arcs ──
         visibleLaunches.forEach(launch => {
@@ -464,6 +470,7 @@ const LaunchTracker = (() => {
               ${generateStars()}
               ${generateGrid()}
               ${generateCompassLabels()}
+              <g class="pano-moon">${generateMoon()}</g>
               <path d="${buildSkylinePath()}" fill="#0d1117" opacity="0.95"/>
               ${generateWindowLights()}
               <text x="${PANO_W / 2}" y="${PANO_H / 2 - 20}" text-anchor="middle"
@@ -492,6 +499,18 @@ const LaunchTracker = (() => {
         return stars;
     }
 
+    // The real Moon, when it's in the southern half of the sky
+    function generateMoon(date = SkyClock.now()) {
+        if (typeof Orbit === 'undefined' || typeof StarMap === 'undefined') return '';
+        const moon = Orbit.moonPosition(date, { lat: observer.lat, lon: observer.lon, alt: 0 });
+        if (moon.el < -1 || moon.el > PANO_EL_MAX || !azInView(moon.az)) return '';
+        const xy = azElToPano(moon.az, moon.el);
+        const angle = StarMap.brightLimbAngle(moon, azElToPano);
+        return `${StarMap.moonSvg(moon, xy.x, xy.y, 9, angle)}
+            <text x="${xy.x}" y="${xy.y - 16}" text-anchor="middle" fill="rgba(255,250,220,0.6)"
+                font-size="9" font-family="'Outfit',sans-serif">${moon.phaseName} · ${Math.round(moon.illumination * 100)}%</text>`;
+    }
+
     function generateGrid() {
         let grid = '';
         // Elevation lines every 10°
@@ -774,6 +793,30 @@ const LaunchTracker = (() => {
 
         getLaunches() { return launches; },
 
+        getCachedAt() { return cachedAt; },
+
+        // Ascent arcs (and flare-burn stretches) of the launches visible from
+        // the observer, in az/el — for views other than the panorama
+        getTrajectories() {
+            return launches.filter(l => isVisibleFromObserver(l).visible).map(l => {
+                const heading = l.site.defaultHeading;
+                const azEl = profile => computeTrajectory(l.padLat, l.padLon, heading, profile)
+                    .map(p => toAzEl(p.lat, p.lon, p.alt, observer.lat, observer.lon));
+                return {
+                    launch: l,
+                    color: l.site.color,
+                    ascent: azEl(ASCENT_PROFILE),
+                    flare: isVisibleFromObserver(l).type === 'flare' ? azEl(ASCENT_PROFILE.filter(p => p.alt >= 200)) : [],
+                };
+            });
+        },
+
+        // Moves the Moon without redrawing the rest of the panorama
+        updateMoon(date) {
+            const layer = panoContainer && panoContainer.querySelector('.pano-moon');
+            if (layer) layer.innerHTML = generateMoon(date);
+        },
+
         // Trigger simulation for a specific launch by index
         simulateLaunchByIndex(idx, panoCont) {
             if (panoCont) panoContainer = panoCont;
@@ -784,7 +827,7 @@ const LaunchTracker = (() => {
         // Get azimuth bearing from observer to the next launch site
         getNextLaunchAzimuth() {
             if (launches.length === 0) return null;
-            const now = Date.now();
+            const now = SkyClock.nowMs();
             const next = launches.find(l => l.net && l.net.getTime() > now) || launches[0];
             if (!next || !next.site) return null;
 
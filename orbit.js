@@ -0,0 +1,680 @@
+/* ────────────────────────────────────────────
+   ISS Hunter — Orbit Module
+   Sun ephemeris, Earth-shadow and brightness
+   models, SGP4 look angles and pass search.
+   DOM-free so it runs in the page and in
+   pass-worker.js alike.
+   ──────────────────────────────────────────── */
+
+const Orbit = (() => {
+    'use strict';
+
+    const DEG = 180 / Math.PI;
+    const RAD = Math.PI / 180;
+
+    // ── SUN ALTITUDE (for twilight filter) ──
+    // Returns the sun's altitude in degrees at a given date for an observer.
+    // Negative = below horizon.  < -6° = civil twilight or darker.
+    function sunAltitude(date, lat, lon) {
+        const JD = date.getTime() / 86400000 + 2440587.5;
+        const n = JD - 2451545.0;                       // days since J2000
+        const L = (280.460 + 0.9856474 * n) % 360;      // mean longitude
+        const g = ((357.528 + 0.9856003 * n) % 360) * RAD; // mean anomaly
+        const lambda = (L + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g)) * RAD; // ecliptic lon
+        const eps = 23.439 * RAD;                         // obliquity
+        const sinDec = Math.sin(eps) * Math.sin(lambda);
+        const dec = Math.asin(sinDec);
+
+        // Greenwich Mean Sidereal Time (hours)
+        const GMST = (18.697374558 + 24.06570982441908 * n) % 24;
+        const LST = GMST + lon / 15;                    // local sidereal time (hours)
+        // Right ascension
+        const RA = Math.atan2(Math.cos(eps) * Math.sin(lambda), Math.cos(lambda));
+        const HA = (LST * 15 * RAD) - RA;                // hour angle
+
+        const latR = lat * RAD;
+        const sinAlt = Math.sin(latR) * Math.sin(dec) + Math.cos(latR) * Math.cos(dec) * Math.cos(HA);
+        return Math.asin(sinAlt) * DEG;
+    }
+
+    // Returns true if the sun is below -6° (civil twilight or darker)
+    function isTwilightOrNight(date, observer) {
+        return sunAltitude(date, observer.lat, observer.lon) < -6;
+    }
+
+    // ── EARTH SHADOW (eclipse model) ──────────
+    const R_EARTH_EQ = 6378.137;   // km (matches SGP4/WGS-72 closely enough)
+    const R_SUN = 696000;          // km
+    const AU_KM = 149597870.7;
+
+    // Sun position in Earth-centred inertial coords (km), same low-precision
+    // ephemeris as sunAltitude(). Good to ~0.01° — plenty for shadow edges.
+    function sunEci(date) {
+        const n = date.getTime() / 86400000 + 2440587.5 - 2451545.0;
+        const L = (280.460 + 0.9856474 * n) % 360;
+        const g = ((357.528 + 0.9856003 * n) % 360) * RAD;
+        const lambda = (L + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g)) * RAD;
+        const eps = (23.439 - 0.0000004 * n) * RAD;
+        const dist = (1.00014 - 0.01671 * Math.cos(g) - 0.00014 * Math.cos(2 * g)) * AU_KM;
+        return {
+            x: dist * Math.cos(lambda),
+            y: dist * Math.cos(eps) * Math.sin(lambda),
+            z: dist * Math.sin(eps) * Math.sin(lambda),
+        };
+    }
+
+    // Moon position in the same frame (km): Montenbruck & Pfleger's
+    // low-precision series for longitude/latitude (~1') plus the leading
+    // distance terms from Meeus ch. 47 (~100 km). Good enough to resolve the
+    // 0.5° disc — and the ~1° parallax — for transit work.
+    function moonEci(date) {
+        const T = (date.getTime() / 86400000 + 2440587.5 - 2451545.0) / 36525;
+        const frac = x => x - Math.floor(x);
+        const ARCSEC = 206264.806;
+        const L0 = frac(0.606433 + 1336.855225 * T);                // mean longitude (rev)
+        const l = 2 * Math.PI * frac(0.374897 + 1325.552410 * T);   // Moon's mean anomaly
+        const ls = 2 * Math.PI * frac(0.993133 + 99.997361 * T);    // Sun's mean anomaly
+        const D = 2 * Math.PI * frac(0.827361 + 1236.853086 * T);   // elongation
+        const F = 2 * Math.PI * frac(0.259086 + 1342.227825 * T);   // argument of latitude
+
+        const dL = 22640 * Math.sin(l) - 4586 * Math.sin(l - 2 * D) + 2370 * Math.sin(2 * D)
+            + 769 * Math.sin(2 * l) - 668 * Math.sin(ls) - 412 * Math.sin(2 * F)
+            - 212 * Math.sin(2 * l - 2 * D) - 206 * Math.sin(l + ls - 2 * D) + 192 * Math.sin(l + 2 * D)
+            - 165 * Math.sin(ls - 2 * D) - 125 * Math.sin(D) - 110 * Math.sin(l + ls)
+            + 148 * Math.sin(l - ls) - 55 * Math.sin(2 * F - 2 * D);
+        const S = F + (dL + 412 * Math.sin(2 * F) + 541 * Math.sin(ls)) / ARCSEC;
+        const h = F - 2 * D;
+        const N = -526 * Math.sin(h) + 44 * Math.sin(l + h) - 31 * Math.sin(-l + h) - 23 * Math.sin(ls + h)
+            + 11 * Math.sin(-ls + h) - 25 * Math.sin(-2 * l + F) + 21 * Math.sin(-l + F);
+
+        const lambda = 2 * Math.PI * frac(L0 + dL / 1296000);
+        const beta = (18520 * Math.sin(S) + N) / ARCSEC;
+        const dist = 385000.56 - 20905.355 * Math.cos(l) - 3699.111 * Math.cos(2 * D - l)
+            - 2955.968 * Math.cos(2 * D) - 569.925 * Math.cos(2 * l) + 48.888 * Math.cos(ls)
+            + 246.158 * Math.cos(2 * D - 2 * l) - 152.138 * Math.cos(2 * D - ls - l)
+            - 170.733 * Math.cos(2 * D + l) - 204.586 * Math.cos(2 * D - ls)
+            - 129.620 * Math.cos(l - ls) + 108.743 * Math.cos(D) + 104.755 * Math.cos(l + ls);
+
+        const eps = (23.439 - 0.0130 * T) * RAD;
+        const x = dist * Math.cos(beta) * Math.cos(lambda);
+        const y = dist * Math.cos(beta) * Math.sin(lambda);
+        const z = dist * Math.sin(beta);
+        return {
+            x,
+            y: y * Math.cos(eps) - z * Math.sin(eps),
+            z: y * Math.sin(eps) + z * Math.cos(eps),
+        };
+    }
+
+    // Classifies a satellite ECI position as 'sunlit', 'penumbra' or 'umbra'
+    // using the conical shadow model: compare the apparent radii of Earth and
+    // Sun seen from the satellite with the angle between them.
+    function earthShadow(posEci, date) {
+        const sun = sunEci(date);
+        const rSat = Math.hypot(posEci.x, posEci.y, posEci.z);
+        const toSun = { x: sun.x - posEci.x, y: sun.y - posEci.y, z: sun.z - posEci.z };
+        const rSun = Math.hypot(toSun.x, toSun.y, toSun.z);
+
+        const semiEarth = Math.asin(Math.min(1, R_EARTH_EQ / rSat));
+        const semiSun = Math.asin(R_SUN / rSun);
+        // Angle between Earth centre (-posEci) and Sun centre as seen from the satellite
+        const cosSep = -(posEci.x * toSun.x + posEci.y * toSun.y + posEci.z * toSun.z) / (rSat * rSun);
+        const sep = Math.acos(Math.max(-1, Math.min(1, cosSep)));
+
+        if (sep >= semiEarth + semiSun) return 'sunlit';
+        if (sep <= semiEarth - semiSun) return 'umbra';
+        return 'penumbra';
+    }
+
+    // ── VISUAL MAGNITUDE ──────────────────────
+    // ISS standard magnitude: brightness at 1000 km range, half illuminated
+    // (phase angle 90°), modelled as a diffusely reflecting sphere.
+    const ISS_STD_MAG = -1.8;
+    const PENUMBRA_DIMMING = 1.5;  // mag — rough, the station fades over a few seconds
+
+    // Sun–satellite–observer angle (radians) from ECI positions in km.
+    function phaseAngle(posEci, obsEci, date) {
+        const sun = sunEci(date);
+        const toSun = { x: sun.x - posEci.x, y: sun.y - posEci.y, z: sun.z - posEci.z };
+        const toObs = { x: obsEci.x - posEci.x, y: obsEci.y - posEci.y, z: obsEci.z - posEci.z };
+        const dot = toSun.x * toObs.x + toSun.y * toObs.y + toSun.z * toObs.z;
+        const cos = dot / (Math.hypot(toSun.x, toSun.y, toSun.z) * Math.hypot(toObs.x, toObs.y, toObs.z));
+        return Math.acos(Math.max(-1, Math.min(1, cos)));
+    }
+
+    // Apparent magnitude for a given slant range (km) and phase angle.
+    // Returns null while the satellite is in umbra (not visible at all).
+    function visualMagnitude(range, phase, shadow, stdMag = ISS_STD_MAG) {
+        if (shadow === 'umbra') return null;
+        const phaseFn = Math.sin(phase) + (Math.PI - phase) * Math.cos(phase);
+        let mag = stdMag + 5 * Math.log10(range / 1000) - 2.5 * Math.log10(Math.max(phaseFn, 1e-3));
+        if (shadow === 'penumbra') mag += PENUMBRA_DIMMING;
+        return mag;
+    }
+
+    // ── LOOK ANGLES (satellite.js) ────────────
+    // observer = { lat, lon (deg), alt (km) }
+    function lookAngles(satrec, observer, date, stdMag) {
+        const gmst = satellite.gstime(date);
+        const posVel = satellite.propagate(satrec, date);
+        if (!posVel.position) return null;
+
+        const posEci = posVel.position;
+        const observerGd = toGeodetic(observer);
+        const posEcf = satellite.eciToEcf(posEci, gmst);
+        const lookAnglesResult = satellite.ecfToLookAngles(observerGd, posEcf);
+        const obsEci = satellite.ecfToEci(satellite.geodeticToEcf(observerGd), gmst);
+        const shadow = earthShadow(posEci, date);
+
+        return {
+            az: lookAnglesResult.azimuth * DEG,
+            el: apparentElevation(lookAnglesResult.elevation * DEG),
+            range: lookAnglesResult.rangeSat,
+            shadow,
+            mag: visualMagnitude(lookAnglesResult.rangeSat, phaseAngle(posEci, obsEci, date), shadow, stdMag)
+        };
+    }
+
+    // ── ATMOSPHERIC REFRACTION ───────────────
+    // Saemundsson's formula (the inverse of Bennett's) lifts a true
+    // elevation to the apparent one — ~0.5° at the horizon, nothing
+    // overhead — scaled for temperature and pressure. Everything that
+    // reports an elevation goes through here, so rise/set thresholds and
+    // the horizon mask compare apparent elevations. null = switched off.
+    const STANDARD_ATMOSPHERE = { tempC: 10, pressureHPa: 1010 };
+    let atmosphere = { ...STANDARD_ATMOSPHERE };
+
+    function setAtmosphere(atm) {
+        atmosphere = atm ? { ...STANDARD_ATMOSPHERE, ...atm } : null;
+    }
+
+    function apparentElevation(el) {
+        if (!atmosphere) return el;
+        const h = Math.max(el, -1); // the formula diverges below the horizon
+        const arcmin = 1.02 / Math.tan((h + 10.3 / (h + 5.11)) * RAD);
+        return el + arcmin / 60 * (atmosphere.pressureHPa / 1010) * (283 / (273 + atmosphere.tempC));
+    }
+
+    // ── EARTH-FIXED GEOMETRY ───────────────────
+    // For positions that don't come straight from a satrec, e.g. the
+    // wheretheiss.at fix. ECF km on the WGS-84 ellipsoid throughout.
+    function toGeodetic(observer) {
+        return { longitude: observer.lon * RAD, latitude: observer.lat * RAD, height: observer.alt };
+    }
+
+    function geodeticToEcf(lat, lon, alt) {
+        return satellite.geodeticToEcf({ longitude: lon * RAD, latitude: lat * RAD, height: alt });
+    }
+
+    function satEcf(satrec, date) {
+        const posVel = satellite.propagate(satrec, date);
+        if (!posVel.position) return null;
+        return satellite.eciToEcf(posVel.position, satellite.gstime(date));
+    }
+
+    // Topocentric azimuth/elevation/range (deg, deg, km) of an ECF position
+    function ecfLookAngles(observer, ecf) {
+        const la = satellite.ecfToLookAngles(toGeodetic(observer), ecf);
+        return { az: la.azimuth * DEG, el: apparentElevation(la.elevation * DEG), range: la.rangeSat };
+    }
+
+    // ── HORIZON MASK ─────────────────────────
+    // A mask is an array of obstruction elevations (deg) at evenly spaced
+    // azimuths starting from north; in between we interpolate linearly.
+    function maskElevation(mask, az) {
+        if (!mask || !mask.length) return 0;
+        const step = 360 / mask.length;
+        const pos = (((az % 360) + 360) % 360) / step;
+        const i = Math.floor(pos) % mask.length;
+        const f = pos - Math.floor(pos);
+        return mask[i] * (1 - f) + mask[(i + 1) % mask.length] * f;
+    }
+
+    // ── VECTORS & SKY ANGLES ─────────────────
+    const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+    const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+    const norm = a => Math.sqrt(dot(a, a));
+    const angleBetween = (a, b) => Math.acos(Math.max(-1, Math.min(1, dot(a, b) / (norm(a) * norm(b)))));
+
+    // Great-circle separation of two az/el directions (deg)
+    function skySeparation(az1, el1, az2, el2) {
+        const c = Math.sin(el1 * RAD) * Math.sin(el2 * RAD)
+            + Math.cos(el1 * RAD) * Math.cos(el2 * RAD) * Math.cos((az2 - az1) * RAD);
+        return Math.acos(Math.max(-1, Math.min(1, c))) * DEG;
+    }
+
+    // Direction from one az/el point towards another, measured from
+    // "straight up" (0°) towards increasing azimuth (90°)
+    function skyBearing(az1, el1, az2, el2) {
+        const dAz = (az2 - az1) * RAD;
+        const y = Math.sin(dAz) * Math.cos(el2 * RAD);
+        const x = Math.cos(el1 * RAD) * Math.sin(el2 * RAD) - Math.sin(el1 * RAD) * Math.cos(el2 * RAD) * Math.cos(dAz);
+        return (Math.atan2(y, x) * DEG + 360) % 360;
+    }
+
+    // Topocentric az/el of the Sun (deg)
+    function sunPosition(date, observer) {
+        const look = ecfLookAngles(observer, satellite.eciToEcf(sunEci(date), satellite.gstime(date)));
+        return { az: look.az, el: look.el };
+    }
+
+    // ── MOON ─────────────────────────────────
+    const MOON_PHASES = ['New Moon', 'Waxing Crescent', 'First Quarter', 'Waxing Gibbous',
+        'Full Moon', 'Waning Gibbous', 'Last Quarter', 'Waning Crescent'];
+
+    // Where the Moon is for an observer (topocentric, so parallax is in) and
+    // how much of it is lit. brightLimb is the skyBearing() of the Sun —
+    // which way the lit side faces. mag from Allen's phase curve.
+    function moonPosition(date, observer) {
+        const moon = moonEci(date);
+        const sun = sunEci(date);
+        const gmst = satellite.gstime(date);
+        const look = ecfLookAngles(observer, satellite.eciToEcf(moon, gmst));
+        const sunLook = ecfLookAngles(observer, satellite.eciToEcf(sun, gmst));
+
+        const elongation = angleBetween(moon, sun);
+        const phase = Math.atan2(norm(sun) * Math.sin(elongation), norm(moon) - norm(sun) * Math.cos(elongation));
+        const i = phase * DEG;
+        // East of the Sun (waxing) when Sun × Moon points at the ecliptic pole
+        const eps = 23.439 * RAD;
+        const waxing = Math.cos(eps) * (sun.x * moon.y - sun.y * moon.x)
+            - Math.sin(eps) * (sun.z * moon.x - sun.x * moon.z) > 0;
+        const cycle = waxing ? elongation : 2 * Math.PI - elongation;
+        const phaseIndex = Math.round(cycle / (2 * Math.PI) * 8) % 8;
+
+        return {
+            az: look.az,
+            el: look.el,
+            range: look.range,
+            illumination: (1 + Math.cos(phase)) / 2,
+            phaseAngle: i,
+            waxing,
+            phaseIndex,
+            phaseName: MOON_PHASES[phaseIndex],
+            mag: -12.73 + 0.026 * i + 4e-9 * i ** 4,
+            brightLimb: skyBearing(look.az, look.el, sunLook.az, sunLook.el),
+        };
+    }
+
+    // How far an az/el point is from the Moon and on which side, as seen
+    // facing the Moon: { separation, side: 'below' | 'above' | 'left of' | 'right of' }
+    function moonRelation(az, el, moon) {
+        const dEl = el - moon.el;
+        const dAz = ((az - moon.az + 540) % 360 - 180) * Math.cos(moon.el * RAD);
+        const side = Math.abs(dEl) >= Math.abs(dAz)
+            ? (dEl < 0 ? 'below' : 'above')
+            : (dAz < 0 ? 'left of' : 'right of');
+        return { separation: skySeparation(az, el, moon.az, moon.el), side };
+    }
+
+    // The Moon during a pass: where it is at the visible peak, and the
+    // satellite's closest approach to it while visible
+    function moonOverPass(observer, pass) {
+        const moon = moonPosition(pass.visPeak.time, observer);
+        let closest = null;
+        pass.points.forEach(p => {
+            if (p.shadow !== 'sunlit' || p.obstructed) return;
+            const rel = moonRelation(p.az, p.el, moon);
+            if (!closest || rel.separation < closest.separation) closest = rel;
+        });
+        return { ...moon, ...closest };
+    }
+
+    // ── PASS SEARCH ───────────────────────────
+    const SCAN_STEP = 30 * 1000;      // coarse search step (ms)
+    const POINT_STEP = 10 * 1000;     // spacing of pass.points (ms)
+    const POINT_TOLERANCE = 500;      // refinement stops below this bracket (ms)
+    const GRAZE_MARGIN = 3;           // deg — peaks this close under minEl get refined
+
+    // Finds where f(t) crosses `target` between a and b (ms), to POINT_TOLERANCE
+    function bisect(f, target, a, b) {
+        const rising = f(a) < target;
+        while (b - a > POINT_TOLERANCE) {
+            const mid = (a + b) / 2;
+            if ((f(mid) < target) === rising) a = mid; else b = mid;
+        }
+        return Math.round((a + b) / 2);
+    }
+
+    // Golden-section search for the maximum of a unimodal f on [a, b] (ms)
+    function goldenMax(f, a, b, tolerance = POINT_TOLERANCE) {
+        const g = (Math.sqrt(5) - 1) / 2;
+        let c = b - g * (b - a), d = a + g * (b - a);
+        let fc = f(c), fd = f(d);
+        while (b - a > tolerance) {
+            if (fc > fd) {
+                b = d; d = c; fd = fc;
+                c = b - g * (b - a); fc = f(c);
+            } else {
+                a = c; c = d; fc = fd;
+                d = a + g * (b - a); fd = f(d);
+            }
+        }
+        return Math.round((a + b) / 2);
+    }
+
+    // Coarse scan for threshold crossings, then refine rise/set by bisection
+    // and culmination by golden-section search so times land within ~1 s.
+    // Local elevation maxima just under the threshold are refined too, so
+    // short grazing passes that fall between two samples aren't missed.
+    //
+    // sat = { id, satrec, stdMag },
+    // settings = { minEl, days, minDuration, horizon (optional mask) }.
+    // Elevations are apparent, per the current setAtmosphere().
+    // onPass(pass) is called as each pass is found; returns all passes.
+    function predictPasses(sat, observer, settings, onPass, from = Date.now()) {
+        const { minEl, days } = settings;
+        const passes = [];
+        const end = from + days * 86400000;
+        const ctx = { sat, observer, settings };
+        const elAt = t => {
+            const la = lookAngles(sat.satrec, observer, new Date(t), sat.stdMag);
+            return la ? la.el : -90;
+        };
+        const found = pass => {
+            if (!pass) return;
+            passes.push(pass);
+            if (onPass) onPass(pass);
+        };
+
+        let t0 = from, e0 = elAt(from);
+        let tPrev = null, ePrev = null;
+        let riseT = e0 >= minEl ? from : null; // pass already in progress
+
+        for (let t = from + SCAN_STEP; t <= end; t += SCAN_STEP) {
+            const e = elAt(t);
+            if (e0 < minEl && e >= minEl) {
+                riseT = bisect(elAt, minEl, t0, t);
+            } else if (e0 >= minEl && e < minEl && riseT != null) {
+                found(buildPass(ctx, riseT, bisect(elAt, minEl, t0, t)));
+                riseT = null;
+            } else if (e < minEl && e0 < minEl && ePrev != null && ePrev < e0 && e0 > minEl - GRAZE_MARGIN) {
+                // Elevation peaked near the threshold between samples — look closer
+                const peakT = goldenMax(elAt, tPrev, t);
+                if (elAt(peakT) >= minEl) {
+                    found(buildPass(ctx, bisect(elAt, minEl, tPrev, peakT), bisect(elAt, minEl, peakT, t)));
+                }
+            }
+            tPrev = t0; ePrev = e0;
+            t0 = t; e0 = e;
+        }
+
+        return passes;
+    }
+
+    // Samples a pass between refined rise and set times (plus the exact
+    // culmination) and runs it through finalizePass().
+    function buildPass(ctx, riseT, setT) {
+        const { sat, observer } = ctx;
+        const look = t => lookAngles(sat.satrec, observer, new Date(t), sat.stdMag);
+        const peakT = goldenMax(t => {
+            const la = look(t);
+            return la ? la.el : -90;
+        }, riseT, setT);
+
+        const times = [riseT];
+        for (let t = riseT + POINT_STEP; t < setT; t += POINT_STEP) times.push(t);
+        times.push(setT);
+        if (!times.includes(peakT)) times.push(peakT);
+        times.sort((a, b) => a - b);
+
+        const points = [];
+        times.forEach(t => {
+            const la = look(t);
+            if (la) {
+                points.push({
+                    time: new Date(t), az: la.az, el: la.el, range: la.range, shadow: la.shadow, mag: la.mag,
+                    obstructed: isObstructed(ctx, la),
+                });
+            }
+        });
+        if (points.length < 2) return null;
+
+        const rise = points[0];
+        const set = points[points.length - 1];
+        const peak = points.find(p => p.time.getTime() === peakT) || rise;
+        const pass = {
+            satId: sat.id,
+            riseTime: rise.time,
+            riseAz: rise.az,
+            maxEl: peak.el,
+            maxElTime: peak.time,
+            maxElAz: peak.az,
+            setTime: set.time,
+            setAz: set.az,
+            duration: (setT - riseT) / 1000,
+            points
+        };
+        return finalizePass(ctx, pass) ? pass : null;
+    }
+
+    function isObstructed(ctx, la) {
+        return la.el < maskElevation(ctx.settings.horizon, la.az);
+    }
+
+    // Works out the truly visible part of a pass — sunlit and clear of the
+    // local horizon mask — and where the station crosses the shadow edge.
+    // Only passes whose visible time adds up to at least the configured
+    // minimum duration and peaks while the observer is in twilight/night
+    // (sun < -6°) are kept.
+    function finalizePass(ctx, pass) {
+        const pts = pass.points;
+        const isVisible = p => p.shadow === 'sunlit' && !p.obstructed;
+        const vis = pts.filter(isVisible);
+        if (vis.length < 2) return false;
+
+        pass.visStart = vis[0];
+        pass.visEnd = vis[vis.length - 1];
+        pass.visPeak = vis.reduce((best, p) => p.el > best.el ? p : best);
+        pass.peakMag = Math.min(...vis.map(p => p.mag));
+        pass.shadowEntry = null;
+        pass.shadowExit = null;
+
+        const sunlit = la => la.shadow === 'sunlit';
+        for (let i = 1; i < pts.length; i++) {
+            const wasLit = sunlit(pts[i - 1]);
+            const isLit = sunlit(pts[i]);
+            if (wasLit && !isLit && !pass.shadowEntry) {
+                pass.shadowEntry = refineEdge(ctx, pts[i - 1].time, pts[i].time, sunlit);
+            } else if (!wasLit && isLit && !pass.shadowExit) {
+                pass.shadowExit = refineEdge(ctx, pts[i].time, pts[i - 1].time, sunlit);
+            }
+        }
+
+        // Visible segments, with their ends pinned down like the shadow edges
+        const clear = la => sunlit(la) && !isObstructed(ctx, la);
+        pass.visSegments = [];
+        let start = isVisible(pts[0]) ? pts[0] : null;
+        for (let i = 1; i < pts.length; i++) {
+            const was = isVisible(pts[i - 1]);
+            const is = isVisible(pts[i]);
+            if (!was && is) start = refineEdge(ctx, pts[i].time, pts[i - 1].time, clear);
+            if (was && !is) {
+                pass.visSegments.push({ start, end: refineEdge(ctx, pts[i - 1].time, pts[i].time, clear) });
+                start = null;
+            }
+        }
+        if (start) pass.visSegments.push({ start, end: pts[pts.length - 1] });
+        pass.visDuration = pass.visSegments.reduce((sum, seg) => sum + (seg.end.time - seg.start.time) / 1000, 0);
+        pass.obstructed = pts.some(p => p.obstructed);
+        pass.moon = moonOverPass(ctx.observer, pass);
+
+        return pass.visDuration >= ctx.settings.minDuration && isTwilightOrNight(pass.visPeak.time, ctx.observer);
+    }
+
+    // Bisects between an instant where inside(lookAngles) holds and one
+    // where it doesn't until the boundary is pinned to within a second.
+    function refineEdge(ctx, tIn, tOut, inside) {
+        const { sat, observer } = ctx;
+        let a = tIn.getTime();
+        let b = tOut.getTime();
+        let good = null;   // SGP4 can fail at the edge itself — keep the last sample that didn't
+        while (Math.abs(b - a) > POINT_TOLERANCE) {
+            const mid = (a + b) / 2;
+            const la = lookAngles(sat.satrec, observer, new Date(mid), sat.stdMag);
+            if (la) good = { time: mid, la };
+            if (la && inside(la)) a = mid; else b = mid;
+        }
+        const time = new Date(Math.round(b));
+        const la = lookAngles(sat.satrec, observer, time, sat.stdMag);
+        if (la) return { time, az: la.az, el: la.el, range: la.range };
+        // Else the last good sample, or the pass point we started from
+        const last = good || { time: tIn.getTime(), la: lookAngles(sat.satrec, observer, tIn, sat.stdMag) };
+        if (!last.la) return null;
+        return { time: new Date(Math.round(last.time)), az: last.la.az, el: last.la.el, range: last.la.range };
+    }
+
+    // ── TRANSITS ──────────────────────────────
+    // The satellite crosses the Sun or Moon for observers on a narrow
+    // ground track: the "centreline", where the line from the body through
+    // the satellite meets the Earth. We scan each pass for minima of the
+    // satellite–body separation seen from here, then trace the centreline
+    // around that moment and keep events whose centreline comes within
+    // settings.radiusKm of the observer.
+    const BODY_RADIUS_KM = { sun: 696000, moon: 1737.4 };
+    const TRANSIT_SCAN_STEP = 60 * 1000;  // coarse scan for passes (ms)
+    const TRANSIT_FINE_STEP = 2 * 1000;   // separation sampling within a pass (ms)
+    const TRANSIT_TOLERANCE = 10;         // ms — ISS transits last about a second
+    const CENTRELINE_SPAN = 30 * 1000;    // centreline traced ± this around the minimum
+    const CENTRELINE_STEP = 500;
+
+    // Satellite, body and observer at one instant (ECI km)
+    function transitGeometry(ctx, t) {
+        const date = new Date(t);
+        const pv = satellite.propagate(ctx.sat.satrec, date);
+        if (!pv.position) return null;
+        const gmst = satellite.gstime(date);
+        const obs = satellite.ecfToEci(ctx.obsEcf, gmst);
+        const body = ctx.body === 'sun' ? sunEci(date) : moonEci(date);
+        const toSat = sub(pv.position, obs);
+        const toBody = sub(body, obs);
+        const up = obs; // geocentric zenith — plenty for horizon tests
+        return {
+            t, gmst, obs, sat: pv.position, body, toSat, toBody,
+            sep: angleBetween(toSat, toBody) * DEG,
+            satEl: 90 - angleBetween(up, toSat) * DEG,
+            bodyEl: 90 - angleBetween(up, toBody) * DEG,
+        };
+    }
+
+    // Ground point where the satellite sits dead centre on the body's disc,
+    // on a sphere through the observer; null if that line misses the Earth
+    // (or there's no geometry, SGP4 having failed)
+    function centrePoint(g) {
+        if (!g) return null;
+        const u = sub(g.body, g.sat);
+        const n = norm(u);
+        const dir = { x: u.x / n, y: u.y / n, z: u.z / n };
+        const R = norm(g.obs);
+        const b = dot(g.sat, dir);
+        const disc = b * b - dot(g.sat, g.sat) + R * R;
+        if (disc < 0) return null;
+        const k = b - Math.sqrt(disc);
+        if (k <= 0) return null;
+        const p = { x: g.sat.x - k * dir.x, y: g.sat.y - k * dir.y, z: g.sat.z - k * dir.z };
+        const geo = satellite.eciToGeodetic(p, g.gmst);
+        return { time: new Date(g.t), lat: geo.latitude * DEG, lon: geo.longitude * DEG, distance: norm(sub(p, g.obs)) };
+    }
+
+    function bearing(lat1, lon1, lat2, lon2) {
+        const p1 = lat1 * RAD, p2 = lat2 * RAD, dl = (lon2 - lon1) * RAD;
+        const y = Math.sin(dl) * Math.cos(p2);
+        const x = Math.cos(p1) * Math.sin(p2) - Math.sin(p1) * Math.cos(p2) * Math.cos(dl);
+        return (Math.atan2(y, x) * DEG + 360) % 360;
+    }
+
+    // sat = { id, satrec }, settings = { days, radiusKm, bodies: ['sun', 'moon'] }.
+    // onTransit(transit) is called as each is found; returns them all.
+    function findTransits(sat, observer, settings, onTransit, from = Date.now()) {
+        const end = from + settings.days * 86400000;
+        const obsEcf = geodeticToEcf(observer.lat, observer.lon, observer.alt);
+        const found = [];
+
+        (settings.bodies || ['sun', 'moon']).forEach(body => {
+            const ctx = { sat, body, obsEcf };
+            const geom = t => transitGeometry(ctx, t);
+
+            for (let t = from; t < end; t += TRANSIT_SCAN_STEP) {
+                const g = geom(t);
+                if (!g || g.satEl < -5 || g.bodyEl < 0) continue;
+
+                // Inside a pass with the body up: sample the separation and
+                // refine each local minimum
+                const winEnd = Math.min(end, t + TRANSIT_SCAN_STEP);
+                let prev = geom(t - TRANSIT_FINE_STEP);
+                let cur = g;
+                for (let u = t + TRANSIT_FINE_STEP; u <= winEnd + TRANSIT_FINE_STEP; u += TRANSIT_FINE_STEP) {
+                    const next = geom(u);
+                    if (prev && next && cur.sep < prev.sep && cur.sep <= next.sep && cur.satEl > 0 && cur.t < winEnd) {
+                        // SGP4 can fail part-way (decayed or bad elements) — treat as no minimum
+                        const tMin = goldenMax(x => { const gx = geom(x); return gx ? -gx.sep : -Infinity; }, cur.t - TRANSIT_FINE_STEP, cur.t + TRANSIT_FINE_STEP, TRANSIT_TOLERANCE);
+                        const transit = buildTransit(ctx, geom, tMin, observer, settings);
+                        if (transit) {
+                            found.push(transit);
+                            if (onTransit) onTransit(transit);
+                        }
+                    }
+                    prev = cur;
+                    cur = next;
+                    if (!cur) break;
+                }
+            }
+        });
+
+        return found.sort((a, b) => a.time - b.time);
+    }
+
+    function buildTransit(ctx, geom, tMin, observer, settings) {
+        const g = geom(tMin);
+        if (!g || g.satEl <= 0 || g.bodyEl <= 0) return null;
+
+        // Trace the centreline and find where it passes closest to us
+        const centreline = [];
+        for (let t = tMin - CENTRELINE_SPAN; t <= tMin + CENTRELINE_SPAN; t += CENTRELINE_STEP) {
+            const p = centrePoint(geom(t));
+            if (p) centreline.push(p);
+        }
+        if (!centreline.length) return null;
+        const nearest = centreline.reduce((best, p) => p.distance < best.distance ? p : best);
+        if (nearest.distance > settings.radiusKm + 10) return null;   // samples are ~4 km apart
+        const gap = t => { const p = centrePoint(geom(t)); return p ? -p.distance : -Infinity; };
+        const tClose = goldenMax(gap, nearest.time.getTime() - CENTRELINE_STEP, nearest.time.getTime() + CENTRELINE_STEP, TRANSIT_TOLERANCE);
+        const closest = centrePoint(geom(tClose)) || nearest;
+        if (closest.distance > settings.radiusKm) return null;
+
+        // Angular speed across the sky sets how long the crossing takes
+        const a = geom(tMin - 500), b = geom(tMin + 500);
+        const rate = a && b ? angleBetween(a.toSat, b.toSat) * DEG : 0;   // deg/s
+        const bodyRadius = Math.asin(BODY_RADIUS_KM[ctx.body] / norm(g.toBody)) * DEG;
+        const look = ecfLookAngles(observer, satellite.eciToEcf(g.body, g.gmst));
+
+        return {
+            satId: ctx.sat.id,
+            body: ctx.body,
+            time: new Date(tMin),
+            separation: g.sep,
+            bodyRadius,
+            isTransit: g.sep <= bodyRadius,
+            duration: rate > 0 ? 2 * bodyRadius / rate : null,   // central crossing, s
+            bodyAz: look.az,
+            bodyEl: look.el,
+            satRange: norm(g.toSat),
+            centreline: centreline.map(p => ({ time: p.time, lat: p.lat, lon: p.lon })),
+            closest: {
+                time: closest.time,
+                lat: closest.lat,
+                lon: closest.lon,
+                distance: closest.distance,
+                bearing: bearing(observer.lat, observer.lon, closest.lat, closest.lon),
+            },
+        };
+    }
+
+    return {
+        sunAltitude, isTwilightOrNight, sunEci, moonEci, sunPosition, moonPosition, earthShadow, phaseAngle, visualMagnitude,
+        setAtmosphere, apparentElevation,
+        lookAngles, geodeticToEcf, satEcf, ecfLookAngles, skySeparation, skyBearing, moonRelation,
+        maskElevation, predictPasses,
+        findTransits,
+    };
+})();
@@ -0,0 +1,38 @@
+/* ────────────────────────────────────────────
+   ISS Hunter — Pass Prediction Worker
+   Runs Orbit.predictPasses() off the main
+   thread and streams each pass back as found.
+
+   in:  { runId, observer, settings, sats: [{ id, line1, line2, stdMag }] }
+        settings.atmosphere → Orbit.setAtmosphere() (null = no refraction)
+        settings.from → search start, ms (the page's sky clock)
+   out: { runId, type: 'pass', pass }  per pass
+        { runId, type: 'sat-done', satId } per satellite
+        { runId, type: 'done' }
+
+   With task: 'transits' it runs Orbit.findTransits()
+   instead (settings: { days, radiusKm }) and posts
+        { runId, type: 'transit', transit } per transit, then 'done'.
+   Cancelling = terminate() from the page.
+   ──────────────────────────────────────────── */
+
+importScripts('https://cdn.jsdelivr.net/npm/satellite.js@5.0.0/dist/satellite.min.js', 'orbit.js');
+
+self.onmessage = e => {
+    const { runId, task, observer, settings, sats } = e.data;
+    Orbit.setAtmosphere(settings.atmosphere);
+    sats.forEach(s => {
+        const sat = { id: s.id, stdMag: s.stdMag, satrec: satellite.twoline2satrec(s.line1, s.line2) };
+        if (task === 'transits') {
+            Orbit.findTransits(sat, observer, settings, transit => {
+                self.postMessage({ runId, type: 'transit', transit });
+            }, settings.from);
+            return;
+        }
+        Orbit.predictPasses(sat, observer, settings, pass => {
+            self.postMessage({ runId, type: 'pass', pass });
+        }, settings.from);
+        self.postMessage({ runId, type: 'sat-done', satId: s.id });
+    });
+    self.postMessage({ runId, type: 'done' });
+};
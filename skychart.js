@@ -0,0 +1,297 @@
+/* ────────────────────────────────────────────
+   ISS Hunter — Sky Chart Module
+   Printable finder charts for a pass: its
+   track with a tick every 30 s over the star
+   field at culmination, the horizon, compass
+   points and landmark notes. All-sky (zenith
+   in the middle, north up, as on the radar)
+   or facing the horizon under the pass, as a
+   standalone SVG or a PNG.
+   ──────────────────────────────────────────── */
+
+const SkyChart = (() => {
+    'use strict';
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const FONT = "'Outfit',sans-serif";
+    const TICK_MS = 30 * 1000;
+    const STAR_MAG = 4.0;         // faintest star drawn — denser fields don't print well
+    const NAME_MAG = 2.0;         // stars this bright are named (the landmark stars)
+    const HORIZON_SCALE = 3;      // chart units per degree, horizon-facing view
+    const PNG_SCALE = 4;          // PNG pixels per chart unit
+    const MARGIN = 16;
+    const HEAD = 46;              // title block above the sky
+    const LINE = 11;              // footer line height
+
+    // The sky is drawn as on the radar (light on dark) and printed through
+    // this filter: inverted to dark on light, hues turned back
+    const PRINT_FILTER = `<filter id="print" color-interpolation-filters="sRGB">
+        <feColorMatrix type="matrix" values="-1 0 0 0 1 0 -1 0 0 1 0 0 -1 0 1 0 0 0 1 0"/>
+        <feColorMatrix type="hueRotate" values="180"/>
+    </filter>`;
+    const SKY_BG = '#0a0a1a';
+    const INK = '#1a1a2e';
+    const GRID = '#9a9ab0';
+    const SHADOW = '#8a8a9a';
+
+    const CARDINALS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+    const cardinal = az => CARDINALS[Math.round(((az % 360) + 360) % 360 / 22.5) % 16];
+    const wrap180 = d => ((d % 360) + 540) % 360 - 180;
+    const hhmmss = date => date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false });
+
+    function el(name, attrs = {}, text) {
+        const node = document.createElementNS(SVG_NS, name);
+        Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, v));
+        if (text != null) node.textContent = text;
+        return node;
+    }
+
+    // ── PROJECTIONS ──
+    // Each gives the drawing size, az/el → x/y (null off the chart) and
+    // draws its own frame, grid and compass points into a layer
+
+    function allSkyView() {
+        const project = (az, elev) => elev < -2 ? null : StarMap.azElToXY(az, Math.max(0, elev), 0);
+        return {
+            width: 300,
+            height: 300,
+            project,
+            clip: () => el('circle', { cx: 150, cy: 150, r: 141 }),
+            grid(layer) {
+                [30, 60].forEach(e => {
+                    layer.appendChild(el('circle', { cx: 150, cy: 150, r: 140 * (1 - e / 90), fill: 'none', stroke: GRID, 'stroke-width': 0.4, 'stroke-dasharray': '2,2' }));
+                    layer.appendChild(el('text', { x: 152, y: 150 - 140 * (1 - e / 90) - 2, fill: GRID, 'font-size': 5.5 }, `${e}°`));
+                });
+                layer.appendChild(el('circle', { cx: 150, cy: 150, r: 140, fill: 'none', stroke: INK, 'stroke-width': 1 }));
+                for (let az = 0; az < 360; az += 22.5) {
+                    const major = az % 90 === 0;
+                    const p = project(az, 0);
+                    const dx = (p.x - 150) / 140;
+                    const dy = (p.y - 150) / 140;
+                    layer.appendChild(el('line', { x1: p.x, y1: p.y, x2: p.x + dx * (major ? 5 : 3), y2: p.y + dy * (major ? 5 : 3), stroke: INK, 'stroke-width': 0.6 }));
+                    if (az % 45) continue;
+                    layer.appendChild(el('text', {
+                        x: (p.x + dx * 12).toFixed(1), y: (p.y + dy * 12 + 3).toFixed(1), 'text-anchor': 'middle',
+                        fill: INK, 'font-size': major ? 9 : 6.5, 'font-weight': major ? 700 : 400,
+                    }, cardinal(az)));
+                }
+            },
+        };
+    }
+
+    // Facing the culmination azimuth, wide enough for the whole track and
+    // tall enough for its peak; elevation and azimuth to the same scale
+    function horizonView(pass, peak) {
+        const center = peak.az;
+        const widest = Math.max(...pass.points.map(p => Math.abs(wrap180(p.az - center))));
+        const half = Math.min(120, Math.max(60, Math.ceil((widest + 15) / 15) * 15));
+        const top = Math.min(90, Math.max(40, Math.ceil((pass.maxEl + 10) / 10) * 10));
+        const k = HORIZON_SCALE;
+        const project = (az, elev) => {
+            const d = wrap180(az - center);
+            if (Math.abs(d) > half || elev > top || elev < -2) return null;
+            return { x: (d + half) * k, y: (top - Math.max(0, elev)) * k };
+        };
+        return {
+            width: 2 * half * k,
+            height: top * k,
+            project,
+            clip: () => el('rect', { x: 0, y: 0, width: 2 * half * k, height: top * k }),
+            grid(layer) {
+                const w = 2 * half * k;
+                for (let e = 10; e < top; e += 10) {
+                    const y = (top - e) * k;
+                    layer.appendChild(el('line', { x1: 0, y1: y, x2: w, y2: y, stroke: GRID, 'stroke-width': e % 30 ? 0.25 : 0.4, 'stroke-dasharray': '2,2' }));
+                    if (e % 30 === 0 || e === 10) layer.appendChild(el('text', { x: 2, y: y - 2, fill: GRID, 'font-size': 5.5 }, `${e}°`));
+                }
+                layer.appendChild(el('rect', { x: 0, y: 0, width: w, height: top * k, fill: 'none', stroke: INK, 'stroke-width': 0.6 }));
+                // Ground and compass points along the horizon
+                layer.appendChild(el('rect', { x: 0, y: top * k, width: w, height: 14, fill: '#e4e4ec' }));
+                layer.appendChild(el('line', { x1: 0, y1: top * k, x2: w, y2: top * k, stroke: INK, 'stroke-width': 1 }));
+                const label = (d, text, named) => {
+                    const x = (d + half) * k;
+                    layer.appendChild(el('line', { x1: x, y1: top * k, x2: x, y2: top * k + (named ? 5 : 3), stroke: INK, 'stroke-width': 0.6 }));
+                    layer.appendChild(el('text', {
+                        x, y: top * k + 11, 'text-anchor': 'middle', fill: INK,
+                        'font-size': named ? 7.5 : 5.5, 'font-weight': named ? 700 : 400,
+                    }, text));
+                };
+                // N, NE, E… where they fall, degrees every 15° in between
+                const named = [0, 45, 90, 135, 180, 225, 270, 315].map(az => wrap180(az - center)).filter(d => Math.abs(d) <= half);
+                named.forEach(d => label(d, cardinal(center + d), true));
+                for (let d = -half; d <= half; d += 15) {
+                    if (named.some(n => Math.abs(n - d) < 6)) continue;
+                    label(d, `${Math.round(((center + d) % 360 + 360) % 360)}°`, false);
+                }
+            },
+        };
+    }
+
+    // ── TRACK ──
+
+    // Where the pass is at time t, between its 10 s points
+    function positionAt(points, t) {
+        let i = points.findIndex(p => p.time.getTime() > t);
+        if (i <= 0) i = i === 0 ? 1 : points.length - 1;
+        const a = points[i - 1];
+        const b = points[i];
+        const f = (t - a.time) / (b.time - a.time || 1);
+        return {
+            az: a.az + wrap180(b.az - a.az) * Math.max(0, Math.min(1, f)),
+            el: a.el + (b.el - a.el) * Math.max(0, Math.min(1, f)),
+        };
+    }
+
+    // Sunlit stretches solid in the satellite's colour (cased in ink so pale
+    // colours still print), shadowed ones dashed grey
+    function drawTrack(layer, pass, project, color) {
+        let lit = '';
+        let dark = '';
+        for (let i = 1; i < pass.points.length; i++) {
+            const a = project(pass.points[i - 1].az, pass.points[i - 1].el);
+            const b = project(pass.points[i].az, pass.points[i].el);
+            if (!a || !b) continue;
+            const seg = `M${a.x.toFixed(1)},${a.y.toFixed(1)}L${b.x.toFixed(1)},${b.y.toFixed(1)}`;
+            if (pass.points[i].shadow === 'sunlit') lit += seg;
+            else dark += seg;
+        }
+        if (dark) layer.appendChild(el('path', { d: dark, fill: 'none', stroke: SHADOW, 'stroke-width': 1.2, 'stroke-dasharray': '3,2' }));
+        if (!lit) return;
+        layer.appendChild(el('path', { d: lit, fill: 'none', stroke: INK, 'stroke-width': 3.4, 'stroke-linecap': 'round' }));
+        layer.appendChild(el('path', { d: lit, fill: 'none', stroke: color, 'stroke-width': 2, 'stroke-linecap': 'round' }));
+    }
+
+    // A tick across the track every 30 s of clock time, labelled beside it
+    // (hh:mm on the minute, :30 between)
+    function drawTicks(layer, pass, project) {
+        const rise = pass.riseTime.getTime();
+        const set = pass.setTime.getTime();
+        for (let t = Math.ceil(rise / TICK_MS) * TICK_MS; t <= set; t += TICK_MS) {
+            const here = positionAt(pass.points, t);
+            const xy = project(here.az, here.el);
+            const ahead = positionAt(pass.points, Math.min(t + 5000, set));
+            const behind = positionAt(pass.points, Math.max(t - 5000, rise));
+            const a = project(behind.az, behind.el);
+            const b = project(ahead.az, ahead.el);
+            if (!xy || !a || !b) continue;
+            const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+            const nx = -(b.y - a.y) / len;
+            const ny = (b.x - a.x) / len;
+            layer.appendChild(el('line', {
+                x1: (xy.x - nx * 3).toFixed(1), y1: (xy.y - ny * 3).toFixed(1),
+                x2: (xy.x + nx * 3).toFixed(1), y2: (xy.y + ny * 3).toFixed(1),
+                stroke: INK, 'stroke-width': 0.9,
+            }));
+            layer.appendChild(el('text', {
+                x: (xy.x + nx * 9).toFixed(1), y: (xy.y + ny * 9 + 2).toFixed(1), 'text-anchor': 'middle',
+                fill: INK, 'font-size': 5, 'font-family': FONT,
+            }, t % 60000 ? ':30' : hhmmss(new Date(t)).slice(0, 5)));
+        }
+    }
+
+    // Key moments: appears / peaks / fades, as markers and footer lines
+    function moments(pass) {
+        return [
+            { label: pass.visStart.time - pass.riseTime < 1000 ? 'Rises' : 'Appears', ...pass.visStart },
+            { label: 'Peaks', ...pass.visPeak },
+            { label: pass.setTime - pass.visEnd.time < 1000 ? 'Sets' : 'Fades', ...pass.visEnd },
+        ];
+    }
+
+    function drawMoments(layer, marks, project, color) {
+        marks.forEach(m => {
+            const xy = project(m.az, m.el);
+            if (!xy) return;
+            layer.appendChild(el('circle', { cx: xy.x, cy: xy.y, r: 2.6, fill: color, stroke: INK, 'stroke-width': 0.7 }));
+            layer.appendChild(el('text', {
+                x: xy.x + 5, y: xy.y - 4, fill: INK, 'font-size': 6.5, 'font-weight': 700, 'font-family': FONT,
+            }, m.label));
+        });
+    }
+
+    // ── CHART ──
+
+    // Standalone SVG markup for a pass. opts: { projection: 'allsky' | 'horizon',
+    // observer: { lat, lon }, name, color }
+    function build(pass, opts) {
+        const { projection = 'allsky', observer, name = 'ISS', color = '#00bcd4' } = opts;
+        const peak = pass.points.find(p => p.time.getTime() === pass.maxElTime.getTime()) || pass.visPeak;
+        const view = projection === 'horizon' ? horizonView(pass, peak) : allSkyView();
+        const marks = moments(pass);
+        const notes = marks.map(m => `${m.label} ${hhmmss(m.time)} · ${cardinal(m.az)} ${Math.round(m.az)}°, ${Math.round(m.el)}° up · `
+            + StarMap.landmarkNear(m.az, m.el, m.time, observer.lat, observer.lon));
+        const ground = projection === 'horizon' ? 14 : 0;
+        const width = view.width + 2 * MARGIN;
+        const height = HEAD + view.height + ground + 10 + notes.length * LINE + 20 + MARGIN;
+
+        const svg = el('svg', { viewBox: `0 0 ${width} ${height}`, width, height, 'font-family': FONT });
+        const defs = el('defs');
+        defs.innerHTML = PRINT_FILTER;
+        const clip = el('clipPath', { id: 'sky-frame' });
+        clip.appendChild(view.clip());
+        defs.appendChild(clip);
+        svg.appendChild(defs);
+        svg.appendChild(el('rect', { width, height, fill: '#ffffff' }));
+
+        // Title block
+        const date = pass.maxElTime;
+        svg.appendChild(el('text', { x: MARGIN, y: 22, fill: INK, 'font-size': 13, 'font-weight': 700 },
+            `${name} — ${date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}`));
+        svg.appendChild(el('text', { x: MARGIN, y: 36, fill: INK, 'font-size': 7.5 },
+            `${hhmmss(pass.riseTime)} – ${hhmmss(pass.setTime)} · max ${pass.maxEl.toFixed(0)}° ${cardinal(peak.az)}`
+            + `${pass.peakMag != null ? ` · mag ${pass.peakMag < 0 ? '−' : '+'}${Math.abs(pass.peakMag).toFixed(1)}` : ''}`));
+
+        // Sky: the star map at culmination, printed dark on light
+        const sky = el('g', { transform: `translate(${MARGIN},${HEAD})` });
+        const field = el('g', { 'clip-path': 'url(#sky-frame)', filter: 'url(#print)' });
+        field.appendChild(el('rect', { x: 0, y: 0, width: view.width, height: view.height, fill: SKY_BG }));
+        StarMap.drawSky(field, view.project, date, observer.lat, observer.lon, { limitMag: STAR_MAG, labelRank: 2, nameMag: NAME_MAG });
+        sky.appendChild(field);
+
+        // Overlay: grid, track, ticks and key moments
+        const overlay = el('g', { 'font-family': FONT });
+        view.grid(overlay);
+        const track = el('g', { 'clip-path': 'url(#sky-frame)' });
+        drawTrack(track, pass, view.project, color);
+        overlay.appendChild(track);
+        drawTicks(overlay, pass, view.project);
+        drawMoments(overlay, marks, view.project, color);
+        sky.appendChild(overlay);
+        svg.appendChild(sky);
+
+        // Footer: where to look at each moment, by landmark
+        let y = HEAD + view.height + ground + 18;
+        notes.forEach(line => {
+            svg.appendChild(el('text', { x: MARGIN, y, fill: INK, 'font-size': 7 }, line));
+            y += LINE;
+        });
+        svg.appendChild(el('text', { x: MARGIN, y: y + 4, fill: GRID, 'font-size': 5.5 },
+            `Ticks every 30 s · solid = sunlit, dashed = in Earth's shadow · stars at ${hhmmss(date)}`
+            + ` from ${observer.lat.toFixed(3)}°, ${observer.lon.toFixed(3)}° · ISS Hunter`));
+
+        return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(svg)}`;
+    }
+
+    // Rasterises chart markup to a PNG blob at PNG_SCALE × its size
+    function toPng(svgText) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml' }));
+            const img = new Image();
+            img.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = img.width * PNG_SCALE;
+                canvas.height = img.height * PNG_SCALE;
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                URL.revokeObjectURL(url);
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Chart could not be rasterised'));
+            };
+            img.src = url;
+        });
+    }
+
+    return { build, toPng };
+})();
@@ -1,7 +1,8 @@
 /* ────────────────────────────────────────────
    ISS Hunter — Star Map Module
    Bright stars, constellation stickfigures,
-   and sky landmark hints for the radar view.
+   the Moon and planets, and sky landmark
+   hints for the radar view.
    ──────────────────────────────────────────── */
 
 const StarMap = (() => {
@@ -84,14 +85,144 @@ const StarMap = (() => {
         },
     ];
 
-    // ── NAMED LANDMARKS for pass directions ──
-    const LANDMARKS = [
-        { name: 'Big Dipper', azMin: 300, azMax: 60, decMin: 40 },
-        { name: 'Orion', azMin: 150, azMax: 250, decMin: -10 },
-        { name: 'Cassiopeia', azMin: 330, azMax: 70, decMin: 50 },
-        { name: 'Polaris (North Star)', azMin: 345, azMax: 15, decMin: 85 },
-        { name: 'Summer Triangle', azMin: 60, azMax: 180, decMin: 20 },
+    // Built-in sky, same shape as a loaded catalog: used until (or unless)
+    // the full catalog arrives
+    const starByName = Object.fromEntries(STARS.map(s => [s.name, s]));
+    const BUILTIN = {
+        stars: STARS.slice().sort((a, b) => b.mag - a.mag),
+        constellations: CONSTELLATIONS.map(c => ({
+            name: c.name,
+            rank: 1,
+            label: null,
+            lines: c.lines.map(pair => pair.map(n => ({ ra: starByName[n].ra, dec: starByName[n].dec }))),
+        })),
+    };
+
+    // ── FULL CATALOG ──
+    // sky-catalog.json, trimmed from d3-celestial's GeoJSON sky data:
+    // Hipparcos stars to CATALOG_MAG_LIMIT with their proper names, and all
+    // 88 IAU constellations — stick figures, a label point and a rank
+    // (1 = most prominent). Stored as compact [RA h, Dec°] arrays and
+    // converted on load to { stars: [{ name, ra (h), dec, mag }],
+    // constellations: [{ name, rank, label: { ra, dec }, lines: [[{ ra, dec }]] }] }.
+    const CATALOG_URL = 'sky-catalog.json';
+    const CATALOG_MAG_LIMIT = 4.5;
+
+    async function loadCatalog() {
+        const point = ([ra, dec]) => ({ ra, dec });
+        try {
+            const r = await fetch(CATALOG_URL);
+            if (!r.ok) throw new Error(`${CATALOG_URL}: ${r.status}`);
+            const data = await r.json();
+            catalog = {
+                stars: data.stars.map(([ra, dec, mag, name]) => ({ name: name || null, ra, dec, mag })),
+                constellations: data.constellations.map(c => ({
+                    name: c.name,
+                    rank: c.rank,
+                    label: c.label ? point(c.label) : null,
+                    lines: c.lines.map(line => line.map(point)),
+                })),
+            };
+        } catch (e) {
+            console.warn('Star catalog unavailable, showing the built-in bright stars:', e);
+        }
+        if (lastRender) render(...lastRender);
+    }
+
+    // ── LANDMARK SEARCH ──
+    // Hints name the nearest thing people can find by eye: a star of at
+    // least LANDMARK_STAR_MAG or a bright planet within LANDMARK_MAX_DEG,
+    // else the constellation whose label point is within
+    // LANDMARK_CONST_DEG, else just a compass direction.
+    const LANDMARK_STAR_MAG = 2.0;
+    const LANDMARK_PLANET_MAG = 1.5;
+    const LANDMARK_MAX_DEG = 25;
+    const LANDMARK_CONST_DEG = 20;
+
+    // ── PLANETS ──
+    // Keplerian elements at J2000 and their rates per Julian century
+    // (Standish, JPL "Approximate Positions of the Planets", 1800–2050):
+    // a (AU), e, I, L, ϖ (longitude of perihelion), Ω — angles in degrees.
+    // Magnitude: V = v0 + 5·log10(r·Δ) + polynomial in phase angle i (deg),
+    // from the Astronomical Almanac; Saturn's ring tilt is ignored.
+    const PLANETS = [
+        {
+            name: 'Mercury', color: '#c9b79c',
+            el: [0.38709927, 0.20563593, 7.00497902, 252.25032350, 77.45779628, 48.33076593],
+            rate: [0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081],
+            mag: i => -0.42 + 0.0380 * i - 0.000273 * i * i + 0.000002 * i ** 3,
+        },
+        {
+            name: 'Venus', color: '#fff6d5',
+            el: [0.72333566, 0.00677672, 3.39467605, 181.97909950, 131.60246718, 76.67984255],
+            rate: [0.00000390, -0.00004107, -0.00078890, 58517.81538729, 0.00268329, -0.27769418],
+            mag: i => -4.40 + 0.0009 * i + 0.000239 * i * i - 0.00000065 * i ** 3,
+        },
+        {
+            name: 'Mars', color: '#ff7b54',
+            el: [1.52371034, 0.09339410, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+            rate: [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343],
+            mag: i => -1.52 + 0.016 * i,
+        },
+        {
+            name: 'Jupiter', color: '#ffe0b0',
+            el: [5.20288700, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+            rate: [-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106],
+            mag: i => -9.40 + 0.005 * i,
+        },
+        {
+            name: 'Saturn', color: '#f1d98b',
+            el: [9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+            rate: [-0.00125060, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794],
+            mag: i => -8.88 + 0.044 * i,
+        },
     ];
+    const EARTH_ELEMENTS = {
+        el: [1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0],
+        rate: [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0],
+    };
+    const OBLIQUITY = 23.43928 * RAD;
+
+    // Heliocentric ecliptic position (AU) from elements at T centuries
+    function heliocentric(body, T) {
+        const [a, e, I, L, peri, node] = body.el.map((v, k) => v + body.rate[k] * T);
+        const M = ((L - peri) % 360 + 360) % 360 * RAD;
+        let E = M + e * Math.sin(M);
+        for (let k = 0; k < 6; k++) E -= (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+        const xv = a * (Math.cos(E) - e);
+        const yv = a * Math.sqrt(1 - e * e) * Math.sin(E);
+        const w = (peri - node) * RAD, O = node * RAD, i = I * RAD;
+        const cw = Math.cos(w), sw = Math.sin(w), cO = Math.cos(O), sO = Math.sin(O), ci = Math.cos(i);
+        return {
+            x: (cw * cO - sw * sO * ci) * xv + (-sw * cO - cw * sO * ci) * yv,
+            y: (cw * sO + sw * cO * ci) * xv + (-sw * sO + cw * cO * ci) * yv,
+            z: (sw * xv + cw * yv) * Math.sin(i),
+        };
+    }
+
+    // Geocentric RA (hours), Dec (deg) and visual magnitude of each planet
+    function planetPositions(date) {
+        const T = (julianDate(date) - 2451545.0) / 36525;
+        const earth = heliocentric(EARTH_ELEMENTS, T);
+        const R = Math.hypot(earth.x, earth.y, earth.z);
+        return PLANETS.map(p => {
+            const h = heliocentric(p, T);
+            const x = h.x - earth.x, y = h.y - earth.y, z = h.z - earth.z;
+            const r = Math.hypot(h.x, h.y, h.z);
+            const delta = Math.hypot(x, y, z);
+            const phase = Math.acos(Math.max(-1, Math.min(1, (r * r + delta * delta - R * R) / (2 * r * delta)))) * DEG;
+            // Ecliptic → equatorial
+            const ye = y * Math.cos(OBLIQUITY) - z * Math.sin(OBLIQUITY);
+            const ze = y * Math.sin(OBLIQUITY) + z * Math.cos(OBLIQUITY);
+            return {
+                name: p.name,
+                color: p.color,
+                ra: ((Math.atan2(ye, x) * DEG / 15) + 24) % 24,
+                dec: Math.asin(ze / delta) * DEG,
+                mag: p.mag(phase) + 5 * Math.log10(r * delta),
+            };
+        });
+    }
 
     // ── COORDINATE CONVERSION ──
 
@@ -134,12 +265,17 @@ const StarMap = (() => {
         let az = Math.acos(Math.max(-1, Math.min(1, cosA))) * DEG;
         if (Math.sin(haRad) > 0) az = 360 - az;
 
-        return { az, el: alt };
+        // Apparent elevation — same refraction model as the satellites
+        return { az, el: typeof Orbit !== 'undefined' ? Orbit.apparentElevation(alt) : alt };
     }
 
     // ── RENDERING STATE ──
     let svgLayer = null;
     let opacity = 0.4;
+    let catalog = null;          // full catalog once loaded, see loadCatalog()
+    let limitMag = CATALOG_MAG_LIMIT;
+    let labelRank = 2;           // constellation labels up to this rank
+    let lastRender = null;
 
     // Build an SVG overlay that goes inside the radar-rotator (or ring fallback)
     function init(radarRing) {
@@ -150,6 +286,7 @@ const StarMap = (() => {
         // Prefer radar-rotator so the starmap rotates with the compass
         const rotator = radarRing.querySelector('.radar-rotator');
         (rotator || radarRing).appendChild(svgLayer);
+        loadCatalog();
     }
 
     // Convert az/el to radar-ring x/y (center = 150,150, radius 150)
@@ -164,79 +301,167 @@ const StarMap = (() => {
         };
     }
 
-    // Render all stars, constellations, and labels
+    // ── MOON ──
+    // Lit part of a disc of radius r centred on 0,0 with the bright limb
+    // towards +x: a half circle closed by the terminator, an ellipse whose
+    // half-width shrinks to nothing at quarter phase
+    function moonLitPath(r, illumination) {
+        const rx = Math.abs(1 - 2 * illumination) * r;
+        const gibbous = illumination > 0.5 ? 1 : 0;
+        return `M0,${-r}A${r},${r} 0 0 1 0,${r}A${rx.toFixed(2)},${r} 0 0 ${gibbous} 0,${-r}Z`;
+    }
+
+    // Screen angle (deg) of the Moon's bright limb for any az/el → x/y
+    // projection: step a degree towards the Sun on the sky and see where
+    // the projection puts it (0 if that step falls off the chart)
+    function brightLimbAngle(moon, project) {
+        const el = Math.min(moon.el, 89);
+        const a = project(moon.az, el);
+        const b = project(
+            moon.az + Math.sin(moon.brightLimb * RAD) / Math.cos(el * RAD),
+            el + Math.cos(moon.brightLimb * RAD));
+        if (!a || !b) return 0;
+        return Math.atan2(b.y - a.y, b.x - a.x) * DEG;
+    }
+
+    // Moon disc as SVG markup at x/y, for this layer and the panorama
+    function moonSvg(moon, x, y, r, limbAngle) {
+        const glow = 0.15 + 0.35 * moon.illumination;
+        return `<g class="moon-glyph" transform="translate(${x.toFixed(1)},${y.toFixed(1)})">
+            <circle r="${(r * 2.2).toFixed(1)}" fill="rgba(255,250,220,${(glow * 0.35).toFixed(2)})"/>
+            <circle r="${r}" fill="rgba(60,64,90,0.9)"/>
+            <path d="${moonLitPath(r, moon.illumination)}" transform="rotate(${limbAngle.toFixed(1)})" fill="#f4f1e0"/>
+        </g>`;
+    }
+
+    function drawMoon(date, latDeg, lonDeg, layer, project) {
+        if (typeof Orbit === 'undefined') return;
+        const moon = Orbit.moonPosition(date, { lat: latDeg, lon: lonDeg, alt: 0 });
+        if (moon.el < -1) return;
+        const xy = project(moon.az, moon.el);
+        if (!xy) return;
+        const angle = brightLimbAngle(moon, project);
+        const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        g.innerHTML = moonSvg(moon, xy.x, xy.y, 6, angle);
+        layer.appendChild(g);
+
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.setAttribute('x', xy.x + 10);
+        text.setAttribute('y', xy.y + 3);
+        text.setAttribute('fill', 'rgba(255,250,220,0.75)');
+        text.setAttribute('font-size', '6.5');
+        text.setAttribute('font-family', "'Outfit',sans-serif");
+        text.textContent = `Moon ${Math.round(moon.illumination * 100)}%`;
+        layer.appendChild(text);
+    }
+
+    // Render all stars, constellations, the Moon and labels
     function render(date, latDeg, lonDeg, heading) {
         if (!svgLayer) return;
+        lastRender = [date, latDeg, lonDeg, heading];
         svgLayer.innerHTML = '';
+        drawSky(svgLayer, (az, el) => azElToXY(az, Math.max(0, el), heading), date, latDeg, lonDeg);
+    }
 
-        // Pre-compute star positions
-        const starPos = {};
-        STARS.forEach(s => {
-            const pos = raDecToAzEl(s.ra, s.dec, date, latDeg, lonDeg);
-            starPos[s.name] = pos;
-        });
+    // The sky at a date drawn into any SVG element through an az/el → x/y
+    // projection (returning null for directions off the drawing), e.g. the
+    // printable pass charts. opts overrides the faintest star drawn (limitMag),
+    // the constellation label rank (labelRank) and the faintest star named
+    // (nameMag); defaults are the radar's.
+    function drawSky(layer, project, date, latDeg, lonDeg, opts = {}) {
+        const style = { limitMag, labelRank, nameMag: 1.5, ...opts };
+        const sky = catalog || BUILTIN;
+        const toAzEl = (ra, dec) => raDecToAzEl(ra, dec, date, latDeg, lonDeg);
+        drawConstellations(sky.constellations, toAzEl, layer, project, style);
+        drawStars(sky.stars, toAzEl, layer, project, style);
+        drawPlanets(date, latDeg, lonDeg, layer, project);
+        drawMoon(date, latDeg, lonDeg, layer, project);
+    }
 
-        // Draw constellation lines first (behind stars)
-        CONSTELLATIONS.forEach(c => {
-            c.lines.forEach(([a, b]) => {
-                const pa = starPos[a];
-                const pb = starPos[b];
-                if (!pa || !pb) return;
-                if (pa.el < -5 && pb.el < -5) return; // both below horizon
-
-                const xyA = azElToXY(pa.az, Math.max(0, pa.el), heading);
-                const xyB = azElToXY(pb.az, Math.max(0, pb.el), heading);
-
-                const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-                line.setAttribute('x1', xyA.x);
-                line.setAttribute('y1', xyA.y);
-                line.setAttribute('x2', xyB.x);
-                line.setAttribute('y2', xyB.y);
-                line.setAttribute('stroke', 'rgba(162,155,254,0.35)');
-                line.setAttribute('stroke-width', '0.8');
-                line.setAttribute('stroke-dasharray', '3,3');
-                // Fade lines that are partially below horizon
-                if (pa.el < 5 || pb.el < 5) {
-                    line.setAttribute('stroke', 'rgba(162,155,254,0.15)');
+    // Stick figures go in two paths (fading those near the horizon) rather
+    // than an element per segment — the full set is ~700 segments. They get
+    // their own group, placed now so it sits under the labels and stars but
+    // over whatever the layer already held (e.g. a chart's sky background).
+    function drawConstellations(constellations, toAzEl, layer, project, style) {
+        const figures = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        layer.appendChild(figures);
+        let bright = '';
+        let faint = '';
+        constellations.forEach(c => {
+            const visible = [];
+            c.lines.forEach(line => {
+                const pts = line.map(p => toAzEl(p.ra, p.dec));
+                for (let i = 1; i < pts.length; i++) {
+                    const pa = pts[i - 1];
+                    const pb = pts[i];
+                    if (pa.el < -5 && pb.el < -5) continue; // both below horizon
+                    const xyA = project(pa.az, pa.el);
+                    const xyB = project(pb.az, pb.el);
+                    if (!xyA || !xyB) continue;
+                    const seg = `M${xyA.x.toFixed(1)},${xyA.y.toFixed(1)}L${xyB.x.toFixed(1)},${xyB.y.toFixed(1)}`;
+                    if (pa.el < 5 || pb.el < 5) faint += seg;
+                    else bright += seg;
                 }
-                svgLayer.appendChild(line);
+                pts.forEach(p => { if (p.el > 5) visible.push(p); });
             });
 
-            // Constellation label at centroid of visible stars
-            const visStars = c.lines.flat().filter((v, i, a) => a.indexOf(v) === i)
-                .map(n => starPos[n]).filter(p => p && p.el > 5);
-            if (visStars.length >= 2) {
-                const cx = visStars.reduce((s, p) => s + azElToXY(p.az, p.el, heading).x, 0) / visStars.length;
-                const cy = visStars.reduce((s, p) => s + azElToXY(p.az, p.el, heading).y, 0) / visStars.length;
-                const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-                label.setAttribute('x', cx);
-                label.setAttribute('y', cy - 10);
-                label.setAttribute('text-anchor', 'middle');
-                label.setAttribute('fill', 'rgba(162,155,254,0.55)');
-                label.setAttribute('font-size', '8');
-                label.setAttribute('font-family', "'Outfit',sans-serif");
-                label.setAttribute('font-weight', '600');
-                label.textContent = c.name;
-                svgLayer.appendChild(label);
+            // Label at the catalog's label point, or the centroid of the visible stars
+            if (c.rank > style.labelRank) return;
+            let xy = null;
+            if (c.label) {
+                const pos = toAzEl(c.label.ra, c.label.dec);
+                if (pos.el > 8) xy = project(pos.az, pos.el);
+            } else if (visible.length >= 2) {
+                const pts = visible.map(p => project(p.az, p.el)).filter(Boolean);
+                if (pts.length) xy = {
+                    x: pts.reduce((sum, p) => sum + p.x, 0) / pts.length,
+                    y: pts.reduce((sum, p) => sum + p.y, 0) / pts.length - 10,
+                };
             }
+            if (!xy) return;
+            const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            label.setAttribute('x', xy.x);
+            label.setAttribute('y', xy.y);
+            label.setAttribute('text-anchor', 'middle');
+            label.setAttribute('fill', 'rgba(162,155,254,0.55)');
+            label.setAttribute('font-size', '8');
+            label.setAttribute('font-family', "'Outfit',sans-serif");
+            label.setAttribute('font-weight', '600');
+            label.textContent = c.name;
+            layer.appendChild(label);
         });
 
-        // Draw stars
-        STARS.forEach(s => {
-            const pos = starPos[s.name];
+        [[bright, 'rgba(162,155,254,0.35)'], [faint, 'rgba(162,155,254,0.15)']].forEach(([d, stroke]) => {
+            if (!d) return;
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('d', d);
+            path.setAttribute('fill', 'none');
+            path.setAttribute('stroke', stroke);
+            path.setAttribute('stroke-width', '0.8');
+            path.setAttribute('stroke-dasharray', '3,3');
+            figures.appendChild(path);
+        });
+    }
+
+    // Stars down to the limiting magnitude, brightest drawn last (on top)
+    function drawStars(stars, toAzEl, layer, project, style) {
+        stars.forEach(s => {
+            if (s.mag > style.limitMag) return;
+            const pos = toAzEl(s.ra, s.dec);
             if (pos.el < -2) return; // below horizon
 
-            const xy = azElToXY(pos.az, Math.max(0, pos.el), heading);
+            const xy = project(pos.az, pos.el);
+            if (!xy) return;
             // Size based on magnitude: brighter = bigger
-            const size = Math.max(1, 3.5 - s.mag * 0.7);
-            const alpha = pos.el < 5 ? 0.25 : (s.mag < 1 ? 0.9 : 0.6);
+            const size = Math.max(0.6, 3.5 - s.mag * 0.7);
+            const alpha = pos.el < 5 ? 0.25 : (s.mag < 1 ? 0.9 : s.mag < 3 ? 0.6 : 0.45);
 
             const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
             circle.setAttribute('cx', xy.x);
             circle.setAttribute('cy', xy.y);
             circle.setAttribute('r', size);
             circle.setAttribute('fill', `rgba(255,255,245,${alpha})`);
-            svgLayer.appendChild(circle);
+            layer.appendChild(circle);
 
             // Glow for brightest stars
             if (s.mag < 0.5) {
@@ -247,11 +472,11 @@ const StarMap = (() => {
                 glow.setAttribute('fill', 'none');
                 glow.setAttribute('stroke', `rgba(200,200,255,${alpha * 0.3})`);
                 glow.setAttribute('stroke-width', '1');
-                svgLayer.appendChild(glow);
+                layer.appendChild(glow);
             }
 
-            // Label for the brightest stars (mag < 1.5)
-            if (s.mag < 1.5 && pos.el > 8) {
+            // Label for the brightest named stars (mag < 1.5 on the radar)
+            if (s.name && s.mag < style.nameMag && pos.el > 8) {
                 const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
                 text.setAttribute('x', xy.x + size + 3);
                 text.setAttribute('y', xy.y + 3);
@@ -259,48 +484,115 @@ const StarMap = (() => {
                 text.setAttribute('font-size', '6.5');
                 text.setAttribute('font-family', "'Outfit',sans-serif");
                 text.textContent = s.name;
-                svgLayer.appendChild(text);
+                layer.appendChild(text);
             }
         });
     }
 
-    // Generate a sky landmark hint for an ISS pass
-    function getLandmarkHint(passAz, passEl) {
-        // Find which constellation/landmark is closest to the pass direction
-        let bestHint = null;
-        let bestDist = Infinity;
-
-        STARS.filter(s => s.mag < 1.5).forEach(s => {
-            // Simple angular distance on the az circle
-            let dAz = Math.abs(passAz - (((s.ra * 15) % 360 + 360) % 360));
-            if (dAz > 180) dAz = 360 - dAz;
-            if (dAz < bestDist) {
-                bestDist = dAz;
-                bestHint = s.name;
-            }
+    // Planets get a tinted disc scaled like the stars plus a ring, and are
+    // always labelled — they're what people mistake for satellites
+    function drawPlanets(date, latDeg, lonDeg, layer, project) {
+        planetPositions(date).forEach(p => {
+            const pos = raDecToAzEl(p.ra, p.dec, date, latDeg, lonDeg);
+            if (pos.el < -2) return;
+            const xy = project(pos.az, pos.el);
+            if (!xy) return;
+            const size = Math.max(1.5, Math.min(5, 3.5 - p.mag * 0.5));
+            const alpha = pos.el < 5 ? 0.4 : 0.95;
+
+            const disc = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            disc.setAttribute('cx', xy.x);
+            disc.setAttribute('cy', xy.y);
+            disc.setAttribute('r', size);
+            disc.setAttribute('fill', p.color);
+            disc.setAttribute('fill-opacity', alpha);
+            layer.appendChild(disc);
+
+            const ring = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            ring.setAttribute('cx', xy.x);
+            ring.setAttribute('cy', xy.y);
+            ring.setAttribute('r', size + 2.5);
+            ring.setAttribute('fill', 'none');
+            ring.setAttribute('stroke', p.color);
+            ring.setAttribute('stroke-opacity', alpha * 0.5);
+            ring.setAttribute('stroke-width', '0.8');
+            layer.appendChild(ring);
+
+            const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            text.setAttribute('x', xy.x + size + 4);
+            text.setAttribute('y', xy.y + 3);
+            text.setAttribute('fill', p.color);
+            text.setAttribute('fill-opacity', alpha * 0.85);
+            text.setAttribute('font-size', '7');
+            text.setAttribute('font-weight', '600');
+            text.setAttribute('font-family', "'Outfit',sans-serif");
+            text.textContent = `${p.name} ${p.mag < 0 ? '−' : '+'}${Math.abs(p.mag).toFixed(1)}`;
+            layer.appendChild(text);
         });
+    }
 
-        if (bestDist < 40 && bestHint) {
-            return `Look near ${bestHint}`;
+    // Where one sky position sits relative to a landmark, as seen facing
+    // the landmark: "8° left of Arcturus", "just below Vega"
+    function relativeTo(az, el, lm) {
+        const sep = angularDistance(az, el, lm.az, lm.el);
+        if (sep < 1) return `right by ${lm.name}`;
+        const dEl = el - lm.el;
+        const dAz = ((az - lm.az + 540) % 360 - 180) * Math.cos(lm.el * RAD);
+        const side = Math.abs(dEl) >= Math.abs(dAz)
+            ? (dEl < 0 ? 'below' : 'above')
+            : (dAz < 0 ? 'left of' : 'right of');
+        return sep < 3 ? `just ${side} ${lm.name}` : `${sep.toFixed(0)}° ${side} ${lm.name}`;
+    }
+
+    // Best landmark for a sky position at a given time, phrased relative to
+    // it ("8° left of Arcturus", "in Cygnus"), or a compass direction
+    function landmarkNear(az, el, date, latDeg, lonDeg) {
+        const sky = catalog || BUILTIN;
+        const up = (name, ra, dec, mag) => {
+            const pos = raDecToAzEl(ra, dec, date, latDeg, lonDeg);
+            return pos.el > 0 ? { name, mag, az: pos.az, el: pos.el, sep: angularDistance(az, el, pos.az, pos.el) } : null;
+        };
+
+        // Stars and planets: nearest wins, but a brighter one may win from a little further away
+        const points = [
+            ...sky.stars.filter(s => s.name && s.mag <= LANDMARK_STAR_MAG).map(s => up(s.name, s.ra, s.dec, s.mag)),
+            ...planetPositions(date).filter(p => p.mag <= LANDMARK_PLANET_MAG).map(p => up(p.name, p.ra, p.dec, p.mag)),
+        ].filter(lm => lm && lm.sep <= LANDMARK_MAX_DEG);
+        if (points.length) {
+            const score = lm => lm.sep + 2 * Math.max(lm.mag, -1);
+            return relativeTo(az, el, points.reduce((best, lm) => score(lm) < score(best) ? lm : best));
         }
 
-        // Fall back to constellation regions
-        for (const lm of LANDMARKS) {
-            let inRange;
-            if (lm.azMin < lm.azMax) {
-                inRange = passAz >= lm.azMin && passAz <= lm.azMax;
-            } else {
-                inRange = passAz >= lm.azMin || passAz <= lm.azMax;
-            }
-            if (inRange) {
-                return `Look near ${lm.name}`;
-            }
+        // Constellations by label point (or the middle of the figure)
+        const figures = sky.constellations.map(c => {
+            const at = c.label || c.lines.flat().reduce((sum, p, i, all) => ({
+                ra: sum.ra + p.ra / all.length, dec: sum.dec + p.dec / all.length,
+            }), { ra: 0, dec: 0 });
+            return up(c.name, at.ra, at.dec, 0);
+        }).filter(c => c && c.sep <= LANDMARK_CONST_DEG);
+        if (figures.length) {
+            const c = figures.reduce((best, f) => f.sep < best.sep ? f : best);
+            return `${c.sep < 10 ? 'in' : 'near'} ${c.name}`;
         }
 
-        // Cardinal direction fallback
         const dirs = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
-        const dir = dirs[Math.round(passAz / 45) % 8];
-        return `Look ${dir} at ${passEl.toFixed(0)}° elevation`;
+        const dir = dirs[Math.round(az / 45) % 8];
+        return el < 15 ? `low in the ${dir}` : `${dir}, ${el.toFixed(0)}° up`;
+    }
+
+    // Sky landmark hint for a pass from its key moments, e.g.
+    // [{ verb: 'rises', az, el, time }, { verb: 'peaks', … }, { verb: 'sets', … }]
+    // → "Rises 8° left of Arcturus, peaks just below Vega, sets in Cygnus"
+    function getLandmarkHint(moments, latDeg, lonDeg) {
+        const text = moments.map(m => `${m.verb} ${landmarkNear(m.az, m.el, m.time, latDeg, lonDeg)}`).join(', ');
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    // Great-circle distance between two az/el directions (deg)
+    function angularDistance(az1, el1, az2, el2) {
+        const c = Math.sin(el1 * RAD) * Math.sin(el2 * RAD)
+            + Math.cos(el1 * RAD) * Math.cos(el2 * RAD) * Math.cos((az2 - az1) * RAD);
+        return Math.acos(Math.max(-1, Math.min(1, c))) * DEG;
     }
 
     function setOpacity(val) {
@@ -308,5 +600,15 @@ const StarMap = (() => {
         if (svgLayer) svgLayer.style.opacity = val;
     }
 
-    return { init, render, getLandmarkHint, setOpacity, STARS, raDecToAzEl, azElToXY };
+    // Faintest star drawn; deep settings also label the minor constellations
+    function setLimitingMagnitude(mag) {
+        limitMag = Math.min(mag, CATALOG_MAG_LIMIT);
+        labelRank = limitMag >= 4 ? 3 : 2;
+        if (lastRender) render(...lastRender);
+    }
+
+    return {
+        init, render, drawSky, getLandmarkHint, landmarkNear, setOpacity, setLimitingMagnitude, STARS, PLANETS,
+        planetPositions, raDecToAzEl, azElToXY, moonSvg, brightLimbAngle,
+    };
 })();
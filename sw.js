@@ -0,0 +1,105 @@
+/* ────────────────────────────────────────────
+   ISS Hunter — Service Worker
+   Keeps the app working without coverage:
+   · the app shell (star catalog included) and
+     CDN files (satellite.js, fonts, land
+     outlines) are served from cache, refreshed
+     in the background
+   · TLEs, launches and weather go to the
+     network first; the last good response is
+     kept and served offline, stamped with an
+     X-Cached-At header so the page can say
+     how old it is
+   · live position and geocoding pass straight
+     through
+   Also delivers pass, transit and launch
+   reminders — the page schedules them (see
+   Reminders in app.js) with showNotification();
+   clicking one brings the app to the front.
+   ──────────────────────────────────────────── */
+
+const VERSION = 'v5';
+const SHELL_CACHE = `iss-hunter-shell-${VERSION}`;
+const DATA_CACHE = 'iss-hunter-data';
+const SATELLITE_JS = 'https://cdn.jsdelivr.net/npm/satellite.js@5.0.0/dist/satellite.min.js';
+const SHELL = [
+    './', 'index.html', 'style.css', 'app.js', 'clock.js', 'orbit.js', 'starmap.js',
+    'skychart.js', 'launches.js', 'groundtrack.js', 'geomag.js', 'sky-catalog.json', 'pass-worker.js', 'manifest.webmanifest', 'icon.svg',
+    'icon-192.png', 'icon-512.png', SATELLITE_JS,
+];
+const STATIC_HOSTS = ['cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+const WEATHER_KEY = 'weather-latest';   // one snapshot, whatever the location
+
+// Cache key for data requests, or null when the request isn't data
+function dataKey(url) {
+    if (url.hostname === 'api.wheretheiss.at') return url.pathname.endsWith('/tles') ? url.href : null;
+    if (url.hostname === 'celestrak.org' || url.hostname === 'll.thespacedevs.com') return url.href;
+    if (url.hostname === 'weather.visualcrossing.com') return WEATHER_KEY;
+    return null;
+}
+
+self.addEventListener('install', e => {
+    e.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', e => {
+    e.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(k => k.startsWith('iss-hunter-shell-') && k !== SHELL_CACHE)
+            .map(k => caches.delete(k))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', e => {
+    if (e.request.method !== 'GET') return;
+    const url = new URL(e.request.url);
+    const key = dataKey(url);
+    if (key) {
+        e.respondWith(networkFirst(e.request, key));
+    } else if (url.origin === self.location.origin || STATIC_HOSTS.includes(url.hostname)) {
+        e.respondWith(cacheFirst(e, url.origin === self.location.origin && e.request.mode === 'navigate'));
+    }
+});
+
+// Cached copy straight away, refreshed in the background for next time.
+// Navigations ignore the query so shared links open offline too.
+async function cacheFirst(e, navigate) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(navigate ? 'index.html' : e.request);
+    const update = fetch(e.request).then(r => {
+        if (r.ok || r.type === 'opaque') cache.put(navigate ? 'index.html' : e.request, r.clone());
+        return r;
+    });
+    if (cached) {
+        e.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
+
+async function networkFirst(request, key) {
+    const cache = await caches.open(DATA_CACHE);
+    try {
+        const r = await fetch(request);
+        if (r.ok) {
+            const headers = new Headers(r.headers);
+            headers.set('X-Cached-At', new Date().toISOString());
+            // These are cross-origin — without this the page's CORS filter hides the stamp
+            headers.append('Access-Control-Expose-Headers', 'X-Cached-At');
+            await cache.put(key, new Response(await r.clone().blob(), { status: r.status, statusText: r.statusText, headers }));
+        }
+        return r;
+    } catch (err) {
+        const cached = await cache.match(key);
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+self.addEventListener('notificationclick', e => {
+    e.notification.close();
+    e.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+        const open = windows.find(w => new URL(w.url).origin === self.location.origin);
+        return open ? open.focus() : self.clients.openWindow(self.registration.scope);
+    }));
+});